@@ -5,9 +5,9 @@ import {
   BlockStack,
   Text,
   useShippingAddress,
-  useApi,
 } from '@shopify/ui-extensions-react/checkout';
-// Using App Proxy from checkout; no session tokens here
+import { useServiceabilityClient } from './hooks/useServiceabilityClient.js';
+import { useLogger } from './hooks/useLogger.js';
 
 export default reactExtension(
   'purchase.checkout.block.render',
@@ -19,49 +19,34 @@ function Extension() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
-  // Get shipping address and shop info from Shopify checkout
+  // Get shipping address from Shopify checkout
   const shippingAddress = useShippingAddress();
-  const { shop } = useApi();
+  const client = useServiceabilityClient();
+  const logger = useLogger();
 
   useEffect(() => {
     async function fetchData() {
       try {
-        // TEMPORARY: Dev endpoint (bypassing password-protected App Proxy)
-        // TODO: Switch back to App Proxy once password is removed:
-        // const response = await fetch(`https://${shop.myshopifyDomain}/apps/serviceability/external-data`);
-        const response = await fetch('https://ad09f4988f88.ngrok-free.app/dev/external-data');
-        if (!response.ok) {
-          throw new Error(`API responded with status: ${response.status}`);
-        }
-        const data = await response.json();
+        // App Proxy or direct dev endpoint, depending on the extension settings
+        const data = await client.fetchExternalData();
         setApiData(data);
       } catch (err) {
         setError(err.message);
-        console.error('⚠️ Dev Mode Error:', err);
+        logger.error('External API request failed', { error: err });
       } finally {
         setLoading(false);
       }
     }
     
     fetchData();
-  }, []);
+  }, [client, logger]);
 
   // Log shipping details whenever they change
   useEffect(() => {
     if (shippingAddress) {
-      console.log('=================================');
-      console.log('Shipping Address Details:');
-      console.log('=================================');
-      console.log('Full Address:', shippingAddress);
-      console.log('Postal Code:', shippingAddress.zip);
-      console.log('City:', shippingAddress.city);
-      console.log('Address Line 1:', shippingAddress.address1);
-      console.log('Address Line 2:', shippingAddress.address2);
-      console.log('Province/State:', shippingAddress.provinceCode);
-      console.log('Country:', shippingAddress.countryCode);
-      console.log('=================================');
+      logger.debug('Shipping address changed', { address: shippingAddress });
     }
-  }, [shippingAddress]);
+  }, [shippingAddress, logger]);
 
   return (
     <BlockStack spacing="loose">
@@ -78,7 +63,10 @@ function Extension() {
       
       {apiData && (
         <BlockStack spacing="tight">
-          <Banner title="⚠️ DEV MODE: API Response (No Auth - Testing Only)" status="warning">
+          <Banner
+            title={client.mode === 'direct' ? "⚠️ DEV MODE: API Response (No Auth - Testing Only)" : "API Response (App Proxy)"}
+            status={client.mode === 'direct' ? "warning" : "info"}
+          >
             <Text size="small" appearance="subdued">
               {JSON.stringify(apiData, null, 2)}
             </Text>
@@ -1,4 +1,3 @@
-import { useEffect, useState } from 'react';
 import {
   reactExtension,
   Banner,
@@ -7,8 +6,15 @@ import {
   Button,
   useShippingAddress,
   useApi,
-  useApplyMetafieldsChange,
+  useCartLines,
+  useTranslate,
 } from '@shopify/ui-extensions-react/checkout';
+import UnserviceableLines from './components/UnserviceableLines.jsx';
+import PaymentModeNotice from './components/PaymentModeNotice.jsx';
+import { useServiceabilityCheck } from './hooks/useServiceabilityCheck.js';
+import { useExtensionSettings } from './hooks/useExtensionSettings.js';
+import { useServiceabilityMetafield } from './hooks/useServiceabilityMetafield.js';
+import { formatDeliveryDate } from './utils/serviceability.js';
 
 export default reactExtension(
   'purchase.checkout.block.render',
@@ -16,138 +22,27 @@ export default reactExtension(
 );
 
 function Extension() {
-  const [serviceabilityResult, setServiceabilityResult] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  
   const shippingAddress = useShippingAddress();
-  const { shop } = useApi();
-  const applyMetafieldsChange = useApplyMetafieldsChange();
-
-  // Auto-check serviceability when shipping address changes
-  useEffect(() => {
-    if (shippingAddress?.zip && shippingAddress?.city) {
-      checkServiceability();
-    }
-  }, [shippingAddress?.zip]);
-
-  async function checkServiceability() {
-    if (!shippingAddress?.zip) {
-      setError('Please enter shipping address');
-      return;
-    }
-
-    setLoading(true);
-    setError(null);
-
-    try {
-      console.log('\n====================================');
-      console.log('📤 EXTENSION: Starting Serviceability Check');
-      console.log('====================================');
-      console.log('Shop Domain:', shop.myshopifyDomain);
-      console.log('Postal Code:', shippingAddress.zip);
-      console.log('City:', shippingAddress.city);
-      console.log('Address:', shippingAddress.address1, shippingAddress.address2);
-      console.log('Province:', shippingAddress.provinceCode);
-      console.log('Country:', shippingAddress.countryCode);
-      console.log('====================================\n');
-      
-      // Direct backend call (dev mode - no auth)
-      console.log('🌐 Calling backend: https://ad09f4988f88.ngrok-free.app/dev/check-serviceability');
-      
-      const requestBody = {
-        postalCode: shippingAddress.zip,
-        city: shippingAddress.city,
-        address1: shippingAddress.address1,
-        address2: shippingAddress.address2,
-        province: shippingAddress.provinceCode,
-        country: shippingAddress.countryCode,
-        shop: shop.myshopifyDomain
-      };
-      
-      console.log('📦 Request Body:', JSON.stringify(requestBody, null, 2));
-      
-      const response = await fetch('https://ad09f4988f88.ngrok-free.app/dev/check-serviceability', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      console.log('📥 Response Status:', response.status, response.statusText);
-
-      if (!response.ok) {
-        throw new Error(`API responded with status: ${response.status}`);
-      }
-
-      const result = await response.json();
-      
-      console.log('\n====================================');
-      console.log('✅ EXTENSION: Received Serviceability Result');
-      console.log('====================================');
-      console.log('Result:', JSON.stringify(result, null, 2));
-      console.log('Serviceable:', result.serviceable ? '✅ YES' : '❌ NO');
-      console.log('====================================\n');
-      
-      setServiceabilityResult(result);
-
-      // 🔑 WRITE TO CART METAFIELDS - Other apps can read this!
-      const metafieldData = {
-        serviceable: result.serviceable,
-        postalCode: result.postalCode,
-        city: result.city,
-        message: result.message,
-        checkedAt: result.timestamp,
-        shop: result.shop || shop.myshopifyDomain,
-        warning: result.warning
-      };
-
-      console.log('\n====================================');
-      console.log('💾 EXTENSION: Writing to Metafield');
-      console.log('====================================');
-      console.log('Namespace: custom');
-      console.log('Key: serviceability_data');
-      console.log('Data:', JSON.stringify(metafieldData, null, 2));
-      console.log('====================================\n');
-
-      const metafieldResult = await applyMetafieldsChange({
-        type: 'updateCartMetafield',
-        namespace: 'custom',
-        key: 'serviceability_data',
-        valueType: 'json',
-        value: JSON.stringify(metafieldData)
-      });
-
-      if (metafieldResult.type === 'success') {
-        console.log('\n====================================');
-        console.log('✅ EXTENSION: Metafield Write SUCCESS');
-        console.log('====================================');
-        console.log('📦 Data successfully stored in cart metafields');
-        console.log('🔗 Other apps can now read: cart.metafields.custom.serviceability_data');
-        console.log('📋 Metafield Content:');
-        console.log(JSON.stringify(metafieldData, null, 2));
-        console.log('====================================\n');
-      } else {
-        console.error('\n====================================');
-        console.error('❌ EXTENSION: Metafield Write FAILED');
-        console.error('====================================');
-        console.error('Error:', metafieldResult.message);
-        console.error('====================================\n');
-      }
-
-    } catch (err) {
-      console.error('\n====================================');
-      console.error('❌ EXTENSION: Serviceability Check FAILED');
-      console.error('====================================');
-      console.error('Error:', err.message);
-      console.error('Stack:', err.stack);
-      console.error('====================================\n');
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
-  }
+  const { i18n } = useApi();
+  const writeMetafield = useServiceabilityMetafield();
+  const cartLines = useCartLines();
+  const translate = useTranslate();
+  const { successMessage, failureMessage, showDebug, autoCheck } = useExtensionSettings();
+
+  // Only results for the current address reach writeMetafield, so a slow
+  // response for an old pincode can never overwrite the stored data
+  const {
+    result: serviceabilityResult,
+    checking: loading,
+    error,
+    recheck: checkServiceability,
+    client,
+  } = useServiceabilityCheck({
+    shippingAddress,
+    cartLines,
+    autoCheck,
+    onResult: writeMetafield,
+  });
 
   return (
     <BlockStack spacing="loose">
@@ -155,30 +50,56 @@ function Extension() {
       {/* Serviceability Status */}
       {serviceabilityResult && (
         <Banner
-          title={serviceabilityResult.serviceable ? "✅ Delivery Available" : "❌ Delivery Not Available"}
+          title={serviceabilityResult.serviceable
+            ? successMessage || translate('serviceability.available')
+            : failureMessage || translate('serviceability.unavailable')}
           status={serviceabilityResult.serviceable ? "success" : "critical"}
         >
           <BlockStack spacing="tight">
+            {serviceabilityResult.serviceable && serviceabilityResult.deliveryEstimate?.latestDate && (
+              <Text emphasis="bold">
+                {translate('serviceability.arrivesBy', {
+                  date: formatDeliveryDate(i18n, serviceabilityResult.deliveryEstimate.latestDate),
+                })}
+              </Text>
+            )}
             <Text>{serviceabilityResult.message}</Text>
             <Text size="small" appearance="subdued">
-              Location: {serviceabilityResult.city} - {serviceabilityResult.postalCode}
-            </Text>
-            <Text size="small" appearance="subdued">
-              ⚠️ Dev Mode: Direct Backend (No Auth)
-            </Text>
-            <Text size="small" appearance="subdued" emphasis="bold">
-              💾 Data saved to cart metafields!
-            </Text>
-            <Text size="small" appearance="subdued">
-              📖 Other apps can read: custom.serviceability_data
+              {translate('serviceability.location', {
+                city: serviceabilityResult.city,
+                postalCode: serviceabilityResult.postalCode,
+              })}
             </Text>
+            {showDebug && client.mode === 'direct' && (
+              <Text size="small" appearance="subdued">
+                ⚠️ Dev Mode: Direct Backend (No Auth)
+              </Text>
+            )}
+            {showDebug && (
+              <Text size="small" appearance="subdued" emphasis="bold">
+                💾 Data saved to cart metafields!
+              </Text>
+            )}
+            {showDebug && (
+              <Text size="small" appearance="subdued">
+                📖 Other apps can read: custom.serviceability_data
+              </Text>
+            )}
           </BlockStack>
         </Banner>
       )}
 
+      {/* Items that can't ship to this address */}
+      {serviceabilityResult && (
+        <UnserviceableLines result={serviceabilityResult} cartLines={cartLines} />
+      )}
+
+      {/* Cash on delivery availability */}
+      <PaymentModeNotice result={serviceabilityResult} />
+
       {/* Error Display */}
       {error && (
-        <Banner title="Error" status="critical">
+        <Banner title={translate('serviceability.errorTitle')} status="critical">
           <Text>{error}</Text>
         </Banner>
       )}
@@ -189,11 +110,11 @@ function Extension() {
         loading={loading}
         disabled={!shippingAddress?.zip}
       >
-        {loading ? 'Checking...' : 'Check Delivery Availability'}
+        {translate(loading ? 'serviceability.checking' : 'serviceability.check')}
       </Button>
 
       {/* Info about metafields */}
-      {serviceabilityResult && (
+      {showDebug && serviceabilityResult && (
         <Banner status="info">
           <BlockStack spacing="tight">
             <Text emphasis="bold">🔍 Dev Info: Metafield Details</Text>
@@ -210,10 +131,7 @@ function Extension() {
               • Type: json
             </Text>
             <Text size="small" appearance="subdued">
-              • Backend: https://ad09f4988f88.ngrok-free.app/dev/check-serviceability
-            </Text>
-            <Text size="small" appearance="subdued">
-              • ⚠️ Using direct backend (dev mode - no auth)
+              • Backend: {client.endpoint} ({client.mode} mode)
             </Text>
             <Text size="small" appearance="subdued" emphasis="bold">
               • Check browser console for detailed logs!
@@ -225,4 +143,3 @@ function Extension() {
     </BlockStack>
   );
 }
-
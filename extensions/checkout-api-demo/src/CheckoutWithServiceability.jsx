@@ -8,8 +8,16 @@ import {
   Button,
   useApi,
   useCartLines,
+  useTranslate,
 } from '@shopify/ui-extensions-react/checkout';
-// Using App Proxy from checkout; no session tokens here
+import UnserviceableLines from './components/UnserviceableLines.jsx';
+import PaymentModeNotice from './components/PaymentModeNotice.jsx';
+import { useServiceabilityBlocking } from './hooks/useServiceabilityBlocking.js';
+import { useServiceabilityCheck } from './hooks/useServiceabilityCheck.js';
+import { useExtensionSettings } from './hooks/useExtensionSettings.js';
+import { useLogger } from './hooks/useLogger.js';
+import { useServiceabilityMetafield } from './hooks/useServiceabilityMetafield.js';
+import { formatDeliveryDate } from './utils/serviceability.js';
 
 export default reactExtension(
   'purchase.checkout.block.render',
@@ -18,108 +26,68 @@ export default reactExtension(
 
 function Extension() {
   const [apiData, setApiData] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   
   // Get shipping address, shop info, and cart lines from Shopify checkout
   const shippingAddress = useShippingAddress();
-  const { shop } = useApi();
+  const { i18n } = useApi();
   const cartLines = useCartLines();
-
-  // Serviceability state
-  const [serviceabilityResult, setServiceabilityResult] = useState(null);
-  const [checkingServiceability, setCheckingServiceability] = useState(false);
-  const [serviceabilityError, setServiceabilityError] = useState(null);
-
-  // Fetch API data via direct ngrok endpoint (dev mode - unauthenticated)
+  const translate = useTranslate();
+  const { successMessage, failureMessage, showDebug, autoCheck } = useExtensionSettings();
+  const logger = useLogger();
+  const writeMetafield = useServiceabilityMetafield();
+
+  // Debounced auto-check; only results for the current address are kept, and
+  // each one is stored in the cart metafield for the checkout validation Function
+  const {
+    result: serviceabilityResult,
+    checking: checkingServiceability,
+    error: serviceabilityError,
+    recheck: checkServiceability,
+    client,
+  } = useServiceabilityCheck({ shippingAddress, cartLines, autoCheck, onResult: writeMetafield });
+
+  // Stop checkout progress for non-serviceable addresses when the merchant
+  // enabled blocking mode
+  const { mode: blockingMode } = useServiceabilityBlocking({
+    postalCode: shippingAddress?.zip,
+    result: serviceabilityResult,
+    checking: checkingServiceability,
+    error: serviceabilityError,
+  });
+
+  // Fetch example API data through the serviceability client (debug only)
   useEffect(() => {
+    if (!showDebug) return;
+
     async function fetchData() {
+      setLoading(true);
       try {
-        const response = await fetch('https://ad09f4988f88.ngrok-free.app/dev/external-data');
-        if (!response.ok) throw new Error(`API responded with status: ${response.status}`);
-        const data = await response.json();
+        const data = await client.fetchExternalData();
         setApiData(data);
       } catch (err) {
         setError(err.message);
-        console.error('⚠️ Dev Mode Error:', err);
+        logger.error('External API request failed', { error: err });
       } finally {
         setLoading(false);
       }
     }
     
     fetchData();
-  }, []);
+  }, [client, showDebug, logger]);
 
-  // Log shipping details whenever they change
+  // Log shipping details whenever they change (debug only, redacted)
   useEffect(() => {
     if (shippingAddress) {
-      console.log('=================================');
-      console.log('Shipping Address Details:');
-      console.log('=================================');
-      console.log('Full Address:', shippingAddress);
-      console.log('Postal Code:', shippingAddress.zip);
-      console.log('City:', shippingAddress.city);
-      console.log('Address Line 1:', shippingAddress.address1);
-      console.log('Address Line 2:', shippingAddress.address2);
-      console.log('Province/State:', shippingAddress.provinceCode);
-      console.log('Country:', shippingAddress.countryCode);
-      console.log('=================================');
-    }
-  }, [shippingAddress]);
-
-  // Auto-check serviceability when shipping address changes
-  useEffect(() => {
-    if (shippingAddress?.zip) {
-      checkServiceability();
-    }
-  }, [shippingAddress?.zip, shippingAddress?.city]);
-
-  // Function to check serviceability via direct ngrok endpoint (dev mode)
-  async function checkServiceability() {
-    if (!shippingAddress) {
-      setServiceabilityError('No shipping address available');
-      return;
-    }
-
-    setCheckingServiceability(true);
-    setServiceabilityError(null);
-    setServiceabilityResult(null);
-
-    try {
-      console.log('🔍 Checking serviceability via direct endpoint...');
-      
-      const response = await fetch('https://ad09f4988f88.ngrok-free.app/dev/check-serviceability', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          postalCode: shippingAddress.zip,
-          city: shippingAddress.city,
-          address1: shippingAddress.address1,
-          address2: shippingAddress.address2,
-          province: shippingAddress.provinceCode,
-          country: shippingAddress.countryCode,
-          shop: shop.myshopifyDomain
-        })
-      });
-      if (!response.ok) throw new Error(`API responded with status: ${response.status}`);
-      const result = await response.json();
-
-      console.log('✅ Serviceability result (Direct endpoint - dev mode):', result);
-      setServiceabilityResult(result);
-    } catch (err) {
-      console.error('❌ Serviceability check failed:', err);
-      setServiceabilityError(err.message);
-    } finally {
-      setCheckingServiceability(false);
+      logger.debug('Shipping address changed', { address: shippingAddress });
     }
-  }
+  }, [shippingAddress, logger]);
 
   return (
     <BlockStack spacing="loose">
       {/* SKU Details Section */}
-      {cartLines && cartLines.length > 0 && (
+      {showDebug && cartLines && cartLines.length > 0 && (
         <BlockStack spacing="tight">
           <Text size="medium" emphasis="bold">
             📦 Cart Items (SKU Details)
@@ -154,7 +122,7 @@ function Extension() {
       {shippingAddress && (
         <BlockStack spacing="tight">
           <Text size="medium" emphasis="bold">
-            📍 Shipping Address
+            📍 {translate('serviceability.shippingAddressHeading')}
           </Text>
           <Banner status="info">
             <BlockStack spacing="tight">
@@ -177,62 +145,84 @@ function Extension() {
       {shippingAddress && (
         <BlockStack spacing="tight">
           <Text size="medium" emphasis="bold">
-            🚚 Delivery Serviceability Check
+            🚚 {translate('serviceability.heading')}
           </Text>
           
           {checkingServiceability && (
-            <Banner title="Checking..." status="info">
-              Verifying delivery availability for {shippingAddress.zip}...
+            <Banner title={translate('serviceability.checkingTitle')} status="info">
+              {translate('serviceability.checkingBody', { postalCode: shippingAddress.zip })}
             </Banner>
           )}
 
           {serviceabilityError && (
-            <Banner title="Error" status="critical">
+            <Banner title={translate('serviceability.errorTitle')} status="critical">
               {serviceabilityError}
             </Banner>
           )}
 
           {serviceabilityResult && (
             <Banner 
-              title={serviceabilityResult.serviceable ? "✅ Delivery Available" : "❌ Delivery Not Available"}
-              status={serviceabilityResult.serviceable ? "success" : "warning"}
+              title={serviceabilityResult.serviceable
+                ? successMessage || translate('serviceability.available')
+                : failureMessage || translate('serviceability.unavailable')}
+              status={serviceabilityResult.serviceable ? "success" : blockingMode === 'block' ? "critical" : "warning"}
             >
               <BlockStack spacing="tight">
+                {serviceabilityResult.serviceable && serviceabilityResult.deliveryEstimate?.latestDate && (
+                  <Text emphasis="bold">
+                    {translate('serviceability.arrivesBy', {
+                      date: formatDeliveryDate(i18n, serviceabilityResult.deliveryEstimate.latestDate),
+                    })}
+                  </Text>
+                )}
                 <Text size="small">{serviceabilityResult.message}</Text>
                 <Text size="small" appearance="subdued">
-                  Location: {serviceabilityResult.city} - {serviceabilityResult.postalCode}
-                </Text>
-                <Text size="small" appearance="subdued">
-                  ⚠️ Dev Mode - Direct Endpoint (No Auth)
+                  {translate('serviceability.location', {
+                    city: serviceabilityResult.city,
+                    postalCode: serviceabilityResult.postalCode,
+                  })}
                 </Text>
+                {showDebug && client.mode === 'direct' && (
+                  <Text size="small" appearance="subdued">
+                    ⚠️ Dev Mode - Direct Endpoint (No Auth)
+                  </Text>
+                )}
               </BlockStack>
             </Banner>
           )}
 
+          {serviceabilityResult && (
+            <UnserviceableLines result={serviceabilityResult} cartLines={cartLines} />
+          )}
+
+          <PaymentModeNotice result={serviceabilityResult} />
+
           <Button onPress={checkServiceability} disabled={checkingServiceability}>
-            {checkingServiceability ? 'Checking...' : 'Re-check Serviceability'}
+            {checkingServiceability
+              ? translate('serviceability.checking')
+              : translate(serviceabilityResult ? 'serviceability.recheck' : 'serviceability.check')}
           </Button>
         </BlockStack>
       )}
 
       {!shippingAddress && (
-        <Banner title="Enter Shipping Address" status="info">
-          Please enter your shipping address to check delivery availability.
+        <Banner title={translate('serviceability.enterAddressTitle')} status="info">
+          {translate('serviceability.enterAddressBody')}
         </Banner>
       )}
 
       {/* API Data Example Section */}
-      {loading && (
+      {showDebug && loading && (
         <Text>Loading API data...</Text>
       )}
       
-      {error && (
+      {showDebug && error && (
         <Banner title="API Error" status="critical">
           {error}
         </Banner>
       )}
       
-      {apiData && (
+      {showDebug && apiData && (
         <BlockStack spacing="tight">
           <Banner title="⚠️ DEV MODE: API Response (Direct Endpoint - No Auth)" status="warning">
             <Text size="small" appearance="subdued">
@@ -244,4 +234,3 @@ function Extension() {
     </BlockStack>
   );
 }
-
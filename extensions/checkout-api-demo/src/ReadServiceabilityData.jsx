@@ -4,8 +4,13 @@ import {
   Banner,
   BlockStack,
   Text,
+  useApi,
+  useCartLines,
   useMetafield,
+  useTranslate,
 } from '@shopify/ui-extensions-react/checkout';
+import { useServiceabilityClient } from './hooks/useServiceabilityClient.js';
+import { useLogger } from './hooks/useLogger.js';
 
 // This extension demonstrates how OTHER APPS can read the serviceability data
 // This simulates a DIFFERENT app reading data your app wrote
@@ -21,96 +26,135 @@ function Extension() {
     key: 'serviceability_data'
   });
 
+  const client = useServiceabilityClient();
+  const logger = useLogger();
+  const translate = useTranslate();
+  const { i18n } = useApi();
+  const cartLines = useCartLines();
+  // Stable key so the check only reruns when the cart's variants change
+  const variantKey = [...new Set(cartLines.map((line) => line.merchandise?.id).filter(Boolean))].sort().join(',');
   const [parsedData, setParsedData] = useState(null);
+  // null while verifying, then { valid, reason } from the backend
+  const [verification, setVerification] = useState(null);
+
+  // The payload is signed by the backend; only trust `serviceable` once the
+  // backend has confirmed the signature (readers don't hold the key) and
+  // that it was signed for the lines in this cart
+  useEffect(() => {
+    if (!parsedData) return;
+    let cancelled = false;
+    setVerification(null);
+
+    async function verify() {
+      try {
+        const variantIds = variantKey ? variantKey.split(',') : [];
+        const result = await client.verifyServiceabilityData(parsedData, { variantIds });
+        if (!cancelled) setVerification(result);
+      } catch (err) {
+        logger.error('Serviceability data verification failed', { error: err });
+        if (!cancelled) setVerification({ valid: false, reason: 'verification_unavailable' });
+      }
+    }
+
+    verify();
+    return () => {
+      cancelled = true;
+    };
+  }, [parsedData, variantKey, client, logger]);
 
   useEffect(() => {
     if (serviceabilityMetafield?.value) {
       try {
-        console.log('\n====================================');
-        console.log('📖 READER EXTENSION: Reading Metafield');
-        console.log('====================================');
-        console.log('Namespace:', serviceabilityMetafield.namespace || 'custom');
-        console.log('Key:', serviceabilityMetafield.key || 'serviceability_data');
-        console.log('Raw Value:', serviceabilityMetafield.value);
-        console.log('====================================\n');
-        
         const data = JSON.parse(serviceabilityMetafield.value);
         setParsedData(data);
-        
-        console.log('\n====================================');
-        console.log('✅ READER EXTENSION: Successfully Parsed Data');
-        console.log('====================================');
-        console.log('Serviceable:', data.serviceable ? '✅ YES' : '❌ NO');
-        console.log('Postal Code:', data.postalCode);
-        console.log('City:', data.city);
-        console.log('Message:', data.message);
-        console.log('Checked At:', data.checkedAt);
-        console.log('Shop:', data.shop);
-        console.log('Full Data:', JSON.stringify(data, null, 2));
-        console.log('====================================');
-        console.log('🎉 Another app successfully read the serviceability data!');
-        console.log('====================================\n');
+        logger.debug('Serviceability metafield read', {
+          serviceable: data.serviceable,
+          postalCode: data.postalCode,
+          checkedAt: data.checkedAt,
+          shop: data.shop
+        });
       } catch (err) {
-        console.error('\n====================================');
-        console.error('❌ READER EXTENSION: Parse Error');
-        console.error('====================================');
-        console.error('Error:', err.message);
-        console.error('Raw value:', serviceabilityMetafield?.value);
-        console.error('====================================\n');
+        logger.error('Serviceability metafield could not be parsed', { error: err });
       }
     } else {
-      console.log('\n====================================');
-      console.log('⏳ READER EXTENSION: Waiting for Data');
-      console.log('====================================');
-      console.log('No serviceability metafield found yet.');
-      console.log('Waiting for writer extension to check serviceability...');
-      console.log('====================================\n');
+      logger.debug('No serviceability metafield yet; waiting for the writer extension');
     }
-  }, [serviceabilityMetafield]);
+  }, [serviceabilityMetafield, logger]);
+
+  const yesNo = (value) => translate(value ? 'reader.yes' : 'reader.no');
 
   return (
     <BlockStack spacing="loose">
-      <Banner title="📖 Reading Serviceability Data (Another App)" status="info">
+      <Banner title={translate('reader.title')} status="info">
         <BlockStack spacing="tight">
-          <Text>
-            This extension demonstrates how a DIFFERENT app can read your serviceability data.
-          </Text>
+          <Text>{translate('reader.intro')}</Text>
           <Text size="small" appearance="subdued">
-            • Reading from: cart.metafields.custom.serviceability_data
+            {translate('reader.source', { metafield: 'cart.metafields.custom.serviceability_data' })}
           </Text>
         </BlockStack>
       </Banner>
 
-      {parsedData ? (
-        <Banner 
-          title={parsedData.serviceable ? "✅ Delivery Available" : "❌ Delivery Not Available"}
-          status={parsedData.serviceable ? "success" : "critical"}
+      {parsedData && !verification && (
+        <Banner status="info">
+          <Text>{translate('reader.verifying')}</Text>
+        </Banner>
+      )}
+
+      {parsedData && verification && !verification.valid && (
+        <Banner title={translate('reader.unverifiedTitle')} status="warning">
+          <Text size="small">
+            {translate('reader.unverifiedBody', { reason: verification.reason })}
+          </Text>
+        </Banner>
+      )}
+
+      {parsedData && verification?.valid ? (
+        <Banner
+          title={translate(parsedData.serviceable ? 'serviceability.available' : 'serviceability.unavailable')}
+          status={parsedData.serviceable ? 'success' : 'critical'}
         >
           <BlockStack spacing="tight">
             <Text>{parsedData.message}</Text>
             <Text size="small">
-              Location: {parsedData.city} - {parsedData.postalCode}
+              {translate('serviceability.location', { city: parsedData.city, postalCode: parsedData.postalCode })}
             </Text>
+            {parsedData.paymentModes && (
+              <Text size="small">
+                {translate('reader.paymentModes', {
+                  prepaid: yesNo(parsedData.paymentModes.prepaid),
+                  cod: yesNo(parsedData.paymentModes.cod),
+                })}
+              </Text>
+            )}
+            {parsedData.deliveryEstimate?.latestDate && (
+              <Text size="small">
+                {translate('reader.deliveryPromise', { date: parsedData.deliveryEstimate.latestDate })}
+              </Text>
+            )}
             <Text size="small" appearance="subdued">
-              Checked at: {new Date(parsedData.checkedAt).toLocaleString()}
+              {translate('reader.checkedAt', {
+                date: i18n.formatDate(new Date(parsedData.checkedAt), { dateStyle: 'medium', timeStyle: 'short' }),
+              })}
             </Text>
             <Text size="small" appearance="subdued">
-              Shop: {parsedData.shop}
+              {translate('reader.shop', { shop: parsedData.shop })}
+            </Text>
+            <Text size="small" appearance="subdued">
+              {translate('reader.schema', { version: parsedData.version })}
             </Text>
             <Text size="small" emphasis="bold">
-              🔗 This data was written by another extension!
+              {translate('reader.writtenByOther')}
             </Text>
           </BlockStack>
         </Banner>
-      ) : (
+      ) : !parsedData && (
         <Banner status="warning">
-          <Text>⏳ Waiting for serviceability data to be written...</Text>
+          <Text>{translate('reader.waitingTitle')}</Text>
           <Text size="small" appearance="subdued">
-            The first extension needs to check serviceability first.
+            {translate('reader.waitingBody')}
           </Text>
         </Banner>
       )}
     </BlockStack>
   );
 }
-
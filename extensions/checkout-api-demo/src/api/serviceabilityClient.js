@@ -0,0 +1,189 @@
+import { BUILD_CONFIG } from '../config.js';
+
+/**
+ * @typedef {Object} CheckAddress
+ * @property {string} [postalCode]
+ * @property {string} [city]
+ * @property {string} [address1]
+ * @property {string} [address2]
+ * @property {string} [province]
+ * @property {string} [country]
+ *
+ * @typedef {Object} BuyerIdentifiers
+ * @property {string} [customerId] Customer gid, when the buyer is logged in
+ * @property {string} [email]
+ *
+ * @typedef {Object} CheckLine
+ * @property {string} [sku]
+ * @property {string} [variantId]
+ * @property {number} quantity
+ *
+ * @typedef {Object} ServiceabilityResult
+ * @property {boolean} serviceable
+ * @property {boolean} [addressServiceable]
+ * @property {string} messageKey Stable key of `message`, e.g. serviceability.unavailable
+ * @property {string} message Localized for the locale sent with the request
+ * @property {string} locale
+ * @property {string} [postalCode]
+ * @property {string} [city]
+ * @property {string} shop
+ * @property {string} provider
+ * @property {{ prepaid: boolean, cod: boolean }} paymentModes
+ * @property {{ minTransitDays: number|null, maxTransitDays: number|null, earliestDate: string|null, latestDate: string|null } | null} deliveryEstimate
+ * @property {Array<CheckLine & { serviceable: boolean, reason: string|null }>} [lines]
+ * @property {boolean} cached
+ * @property {Object} serviceabilityData Signed payload for the cart metafield
+ * @property {string} timestamp
+ *
+ * @typedef {'timeout' | 'network' | 'http' | 'invalid_response' | 'aborted'} ClientErrorCode
+ */
+
+/** Error thrown by every client call; `code` tells callers what went wrong. */
+export class ServiceabilityClientError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ code: ClientErrorCode, status?: number, retryable?: boolean }} details
+   */
+  constructor(message, { code, status, retryable = false }) {
+    super(message);
+    this.name = 'ServiceabilityClientError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// Not 429: retrying a rate-limited request only drains the bucket further
+const RETRYABLE_STATUSES = [408, 500, 502, 503, 504];
+
+/**
+ * Resolves the effective client configuration from extension settings,
+ * falling back to the build-time defaults in config.js. "direct" mode needs
+ * a backend URL; without one the client uses the app proxy.
+ */
+export function resolveClientConfig(settings = {}) {
+  const backendUrl = (settings.backend_url || BUILD_CONFIG.backendUrl).replace(/\/+$/, '');
+  const mode = settings.connection_mode === 'proxy' || settings.connection_mode === 'direct'
+    ? settings.connection_mode
+    : BUILD_CONFIG.mode;
+  return {
+    ...BUILD_CONFIG,
+    backendUrl,
+    mode: mode === 'direct' && !backendUrl ? 'proxy' : mode,
+  };
+}
+
+/** Maps a checkout shipping address to the backend's address fields. */
+export function toCheckAddress(shippingAddress) {
+  return {
+    postalCode: shippingAddress?.zip,
+    city: shippingAddress?.city,
+    address1: shippingAddress?.address1,
+    address2: shippingAddress?.address2,
+    province: shippingAddress?.provinceCode,
+    country: shippingAddress?.countryCode,
+  };
+}
+
+/**
+ * @param {{ shopDomain: string, config: ReturnType<typeof resolveClientConfig> }} options
+ */
+export function createServiceabilityClient({ shopDomain, config }) {
+  function urlFor(path) {
+    return config.mode === 'proxy'
+      ? `https://${shopDomain}${config.appProxyPath}/${path}`
+      : `${config.backendUrl}/dev/${path}`;
+  }
+
+  async function attempt(path, init, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, config.timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+      const response = await fetch(urlFor(path), { ...init, signal: controller.signal });
+      if (!response.ok) {
+        throw new ServiceabilityClientError(`API responded with status: ${response.status}`, {
+          code: 'http',
+          status: response.status,
+          retryable: RETRYABLE_STATUSES.includes(response.status),
+        });
+      }
+      try {
+        return await response.json();
+      } catch {
+        throw new ServiceabilityClientError('API returned an invalid response', { code: 'invalid_response' });
+      }
+    } catch (error) {
+      if (error instanceof ServiceabilityClientError) throw error;
+      if (signal?.aborted) {
+        throw new ServiceabilityClientError('Request was cancelled', { code: 'aborted' });
+      }
+      if (timedOut) {
+        throw new ServiceabilityClientError(`Request timed out after ${config.timeoutMs}ms`, { code: 'timeout', retryable: true });
+      }
+      throw new ServiceabilityClientError(error?.message || 'Network error', { code: 'network', retryable: true });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async function request(path, init = {}, { signal } = {}) {
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      try {
+        return await attempt(path, init, signal);
+      } catch (error) {
+        if (!error.retryable || attemptNumber >= config.retries || signal?.aborted) throw error;
+        await new Promise((resolve) => setTimeout(resolve, config.retryDelayMs * 2 ** attemptNumber));
+      }
+    }
+  }
+
+  function post(path, body, options) {
+    return request(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }, options);
+  }
+
+  return {
+    mode: config.mode,
+    endpoint: urlFor('check-serviceability'),
+
+    /**
+     * @param {{ address: CheckAddress, lines?: CheckLine[], locale?: string, buyer?: BuyerIdentifiers, signal?: AbortSignal }} params
+     * @returns {Promise<ServiceabilityResult>}
+     */
+    async checkServiceability({ address, lines = [], locale, buyer = {}, signal }) {
+      const body = { ...address, lines, locale, customerId: buyer.customerId, email: buyer.email, shop: shopDomain };
+      const result = await post('check-serviceability', body, { signal });
+      if (typeof result?.serviceable !== 'boolean') {
+        throw new ServiceabilityClientError('API response is missing the serviceable flag', { code: 'invalid_response' });
+      }
+      return result;
+    },
+
+    /**
+     * @param {Object} data Payload read from custom.serviceability_data
+     * @param {Object} [options]
+     * @param {string[]} [options.variantIds] The cart's variant IDs; the
+     *   payload is rejected when it was signed for other lines
+     * @returns {Promise<{ valid: boolean, reason: string|null }>}
+     */
+    verifyServiceabilityData(data, { variantIds, signal } = {}) {
+      return post('verify-serviceability-data', { data, variantIds, shop: shopDomain }, { signal });
+    },
+
+    /** Example external API passthrough (/external-data). */
+    fetchExternalData({ signal } = {}) {
+      return request('external-data', { method: 'GET' }, { signal });
+    },
+  };
+}
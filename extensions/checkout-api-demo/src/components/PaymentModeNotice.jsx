@@ -0,0 +1,13 @@
+import { Banner, Text, useTranslate } from '@shopify/ui-extensions-react/checkout';
+
+// Shown when the address is serviceable but cash on delivery is not
+export default function PaymentModeNotice({ result }) {
+  const translate = useTranslate();
+  if (!result?.serviceable || result.paymentModes?.cod !== false) return null;
+
+  return (
+    <Banner title={translate('cod.title')} status="warning">
+      <Text size="small">{translate('cod.body')}</Text>
+    </Banner>
+  );
+}
@@ -0,0 +1,30 @@
+import {
+  Banner,
+  BlockStack,
+  Text,
+  useTranslate,
+} from '@shopify/ui-extensions-react/checkout';
+
+// Lists the cart items the backend judged unshippable to this address
+export default function UnserviceableLines({ result, cartLines }) {
+  const translate = useTranslate();
+  const blocked = (result.lines || []).filter((line) => !line.serviceable);
+  if (blocked.length === 0) return null;
+
+  return (
+    <Banner title={translate('lines.title')} status="critical">
+      <BlockStack spacing="tight">
+        {blocked.map((line) => {
+          const cartLine = cartLines.find((candidate) => candidate.merchandise?.id === line.variantId);
+          return (
+            <Text key={line.variantId || line.sku} size="small">
+              {cartLine?.merchandise?.product?.title || line.sku || translate('lines.item')}
+              {line.sku ? ` (${translate('lines.sku', { sku: line.sku })})` : ''}
+              {line.reason && line.reason !== 'address_not_serviceable' ? ` - ${line.reason}` : ''}
+            </Text>
+          );
+        })}
+      </BlockStack>
+    </Banner>
+  );
+}
@@ -0,0 +1,27 @@
+// Build-time defaults for the serviceability client. Merchants can override
+// the backend URL and connection mode per store through the extension
+// settings (backend_url, connection_mode) in the checkout editor.
+
+// SERVICEABILITY_BACKEND_URL is replaced at build time (see vite.config.js);
+// where nothing replaces it, `process` doesn't exist in the checkout sandbox
+function buildBackendUrl() {
+  try {
+    return process.env.SERVICEABILITY_BACKEND_URL || '';
+  } catch {
+    return '';
+  }
+}
+
+export const BUILD_CONFIG = {
+  // Backend reached directly in "direct" mode (the /dev/* endpoints); empty
+  // unless set at build time or through the backend_url setting
+  backendUrl: buildBackendUrl(),
+  // "proxy": https://<shop>/apps/serviceability/* (signed by Shopify)
+  // "direct": <backendUrl>/dev/* (no auth, development only)
+  mode: 'proxy',
+  appProxyPath: '/apps/serviceability',
+  timeoutMs: 8000,
+  // Extra attempts for timeouts, network errors and 5xx responses
+  retries: 2,
+  retryDelayMs: 400,
+};
@@ -0,0 +1,16 @@
+import { useApi, useSubscription } from '@shopify/ui-extensions-react/checkout';
+
+// Stands in for buyerIdentity values when the app has no access to them
+const UNAVAILABLE = { current: undefined, subscribe: () => () => {} };
+
+// The logged-in customer's id and the buyer's email, sent with each check so
+// the backend can attribute its history entries (and find them for GDPR
+// requests). Both are undefined when the app hasn't been granted protected
+// customer data, where useCustomer() / useEmail() would throw instead.
+export function useBuyerIdentifiers() {
+  const { buyerIdentity } = useApi();
+  const customer = useSubscription(buyerIdentity?.customer ?? UNAVAILABLE);
+  const email = useSubscription(buyerIdentity?.email ?? UNAVAILABLE);
+
+  return { customerId: customer?.id, email };
+}
@@ -0,0 +1,24 @@
+import { useSettings } from '@shopify/ui-extensions-react/checkout';
+
+// Merchant settings from the checkout editor (see shopify.extension.toml),
+// with the defaults used when a field has never been saved:
+//   success_message / failure_message: banner titles, built-in copy when empty
+//   show_debug:    dev panels (SKU details, API responses, metafield info); off
+//   auto_check:    check as soon as the address changes; on
+//   blocking_mode: "warn" or "block"; null when unset, so the shop's default
+//                  from the admin UI (sent with each result) applies
+//   fail_open:     allow checkout when the backend can't be reached; on
+export function useExtensionSettings() {
+  const settings = useSettings();
+
+  return {
+    successMessage: settings.success_message?.trim() || null,
+    failureMessage: settings.failure_message?.trim() || null,
+    showDebug: settings.show_debug === true,
+    autoCheck: settings.auto_check !== false,
+    blockingMode: settings.blocking_mode === 'block' || settings.blocking_mode === 'warn'
+      ? settings.blocking_mode
+      : null,
+    failOpen: settings.fail_open !== false,
+  };
+}
@@ -0,0 +1,9 @@
+import { useMemo } from 'react';
+import { createLogger } from '../utils/logger.js';
+import { useExtensionSettings } from './useExtensionSettings.js';
+
+// Redacting console logger; debug output follows the show_debug setting
+export function useLogger() {
+  const { showDebug } = useExtensionSettings();
+  return useMemo(() => createLogger({ debug: showDebug }), [showDebug]);
+}
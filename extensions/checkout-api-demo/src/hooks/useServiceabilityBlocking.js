@@ -0,0 +1,56 @@
+import {
+  useBuyerJourneyIntercept,
+  useExtensionCapability,
+  useTranslate,
+} from '@shopify/ui-extensions-react/checkout';
+import { useExtensionSettings } from './useExtensionSettings.js';
+
+// Inline errors are attached to the postal code of the delivery address
+const ADDRESS_TARGET = '$.cart.deliveryGroups[0].deliveryAddress.zip';
+
+// Merchant-controlled checkout blocking, configured in the checkout editor:
+//   blocking_mode: "warn" only shows banners, "block" stops checkout
+//                  progress while the latest result is not serviceable. When
+//                  unset, the shop's mode from the admin UI applies (default warn)
+//   fail_open:     when true (default) buyers may continue if the backend
+//                  could not be reached; when false they are blocked
+// The merchant's failure_message, when set, is used as the inline error.
+export function useServiceabilityBlocking({ postalCode, result, checking, error }) {
+  const { blockingMode, failOpen, failureMessage } = useExtensionSettings();
+  const mode = blockingMode || (result?.blockingMode === 'block' ? 'block' : 'warn');
+  const canBlockProgress = useExtensionCapability('block_progress');
+  const translate = useTranslate();
+
+  useBuyerJourneyIntercept(({ canBlockProgress: canBlockNow }) => {
+    if (mode !== 'block' || !canBlockProgress || !canBlockNow || !postalCode) {
+      return { behavior: 'allow' };
+    }
+
+    if (error) {
+      return failOpen
+        ? { behavior: 'allow' }
+        : block(translate('blocking.unreachable'));
+    }
+
+    // A result for a different postal code is stale; wait for the fresh one
+    if (checking || !result || result.postalCode !== postalCode) {
+      return block(translate('blocking.pending'));
+    }
+
+    if (!result.serviceable) {
+      return block(failureMessage || result.message || translate('blocking.notServiceable'));
+    }
+
+    return { behavior: 'allow' };
+  });
+
+  return { mode, failOpen, canBlockProgress };
+}
+
+function block(message) {
+  return {
+    behavior: 'block',
+    reason: 'Address is not serviceable',
+    errors: [{ message, target: ADDRESS_TARGET }],
+  };
+}
@@ -0,0 +1,107 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useLanguage, useTranslate } from '@shopify/ui-extensions-react/checkout';
+import { useServiceabilityClient } from './useServiceabilityClient.js';
+import { useBuyerIdentifiers } from './useBuyerIdentifiers.js';
+import { useLogger } from './useLogger.js';
+import { toCheckAddress } from '../api/serviceabilityClient.js';
+import { toCheckLine } from '../utils/serviceability.js';
+
+const DEFAULT_DEBOUNCE_MS = 600;
+
+// Identifies the address + cart (and language) a result belongs to
+function checkKey(address, lines, locale) {
+  return JSON.stringify([
+    locale,
+    address.postalCode, address.city, address.address1, address.address2, address.province, address.country,
+    lines.map((line) => [line.variantId, line.sku, line.quantity]),
+  ]);
+}
+
+// Debounced, cancellable serviceability check for the current shipping
+// address. Typing restarts the debounce, every new check aborts the previous
+// request, and a response is only applied (and passed to onResult) when it
+// still matches the current address and cart.
+export function useServiceabilityCheck({
+  shippingAddress,
+  cartLines = [],
+  autoCheck = true,
+  debounceMs = DEFAULT_DEBOUNCE_MS,
+  onResult,
+}) {
+  const client = useServiceabilityClient();
+  const translate = useTranslate();
+  const logger = useLogger();
+  // Sent with the request so the backend answers in the buyer's language
+  const { isoCode: locale } = useLanguage();
+  // Attributes the backend's history entry; a new email alone doesn't recheck
+  const buyer = useBuyerIdentifiers();
+  const [result, setResult] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const address = toCheckAddress(shippingAddress);
+  const lines = cartLines.map(toCheckLine);
+  const key = checkKey(address, lines, locale);
+
+  const latestKey = useRef(key);
+  const controllerRef = useRef(null);
+  const onResultRef = useRef(onResult);
+  const buyerRef = useRef(buyer);
+  latestKey.current = key;
+  onResultRef.current = onResult;
+  buyerRef.current = buyer;
+
+  const runCheck = useCallback(async () => {
+    if (!address.postalCode) {
+      setError(translate('serviceability.addressRequired'));
+      return;
+    }
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const requestKey = key;
+
+    setChecking(true);
+    setError(null);
+
+    try {
+      const response = await client.checkServiceability({
+        address,
+        lines,
+        locale,
+        buyer: buyerRef.current,
+        signal: controller.signal,
+      });
+      if (controller.signal.aborted || requestKey !== latestKey.current) return;
+
+      setResult(response);
+      await onResultRef.current?.(response);
+    } catch (err) {
+      if (err.code === 'aborted' || requestKey !== latestKey.current) return;
+      logger.error('Serviceability check failed', { error: err });
+      setError(err.message);
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setChecking(false);
+      }
+    }
+  }, [client, key, logger]);
+
+  // Results for a previous address must never be shown for the new one
+  useEffect(() => {
+    setResult((current) => (current && current.postalCode !== address.postalCode ? null : current));
+  }, [address.postalCode]);
+
+  useEffect(() => {
+    if (!autoCheck || !address.postalCode) return undefined;
+    const timer = setTimeout(runCheck, debounceMs);
+    return () => clearTimeout(timer);
+  }, [runCheck, autoCheck, debounceMs]);
+
+  // Abort whatever is in flight when the extension unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return { result, checking, error, recheck: runCheck, client };
+}
@@ -0,0 +1,17 @@
+import { useMemo } from 'react';
+import { useApi, useSettings } from '@shopify/ui-extensions-react/checkout';
+import { createServiceabilityClient, resolveClientConfig } from '../api/serviceabilityClient.js';
+
+// Serviceability client configured from the extension settings and shop
+export function useServiceabilityClient() {
+  const { shop } = useApi();
+  const settings = useSettings();
+
+  return useMemo(
+    () => createServiceabilityClient({
+      shopDomain: shop.myshopifyDomain,
+      config: resolveClientConfig(settings),
+    }),
+    [shop.myshopifyDomain, settings.backend_url, settings.connection_mode]
+  );
+}
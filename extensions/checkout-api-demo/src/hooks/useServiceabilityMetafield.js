@@ -0,0 +1,33 @@
+import { useCallback } from 'react';
+import { useApplyMetafieldsChange } from '@shopify/ui-extensions-react/checkout';
+import { useLogger } from './useLogger.js';
+
+// Stores the backend's signed payload in cart.metafields.custom.serviceability_data
+// as-is, so other apps and the checkout validation Function can read (and
+// verify) it. See web/serviceability-data.js for the schema.
+export function useServiceabilityMetafield() {
+  const applyMetafieldsChange = useApplyMetafieldsChange();
+  const logger = useLogger();
+
+  return useCallback(async (result) => {
+    const metafieldData = result.serviceabilityData;
+    if (!metafieldData?.signature) {
+      logger.error('Backend response is missing signed serviceability data');
+      return;
+    }
+
+    const metafieldResult = await applyMetafieldsChange({
+      type: 'updateCartMetafield',
+      namespace: 'custom',
+      key: 'serviceability_data',
+      valueType: 'json',
+      value: JSON.stringify(metafieldData),
+    });
+
+    if (metafieldResult.type === 'success') {
+      logger.debug('Serviceability data written to cart.metafields.custom.serviceability_data');
+    } else {
+      logger.error('Metafield write failed', { message: metafieldResult.message });
+    }
+  }, [applyMetafieldsChange, logger]);
+}
@@ -0,0 +1,47 @@
+// Console logging for the checkout extensions. Warnings and errors are always
+// written; debug lines only when the merchant enabled show_debug. Fields are
+// redacted first: street address, city and contact details are dropped,
+// signatures and tokens are hidden and postal codes keep their first three
+// characters, so buyer data never ends up in a shared browser console.
+
+const PREFIX = '[serviceability]';
+const REDACTED = '[REDACTED]';
+
+const SECRET_KEYS = /token|secret|signature|authorization/i;
+const PERSONAL_KEYS = new Set([
+  'address1', 'address2', 'city', 'email', 'phone', 'name',
+  'firstName', 'lastName', 'company'
+]);
+const POSTAL_CODE_KEYS = new Set(['postalCode', 'zip']);
+
+function maskPostalCode(value) {
+  const text = String(value);
+  return text.length > 3 ? `${text.slice(0, 3)}${'*'.repeat(text.length - 3)}` : '***';
+}
+
+export function redact(value) {
+  if (value instanceof Error) return { name: value.name, code: value.code, message: value.message };
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(redact);
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    if (item === null || item === undefined || item === '') return [key, item];
+    if (SECRET_KEYS.test(key) || PERSONAL_KEYS.has(key)) return [key, REDACTED];
+    if (POSTAL_CODE_KEYS.has(key) && typeof item !== 'object') return [key, maskPostalCode(item)];
+    return [key, redact(item)];
+  }));
+}
+
+export function createLogger({ debug = false } = {}) {
+  const write = (method, msg, fields) => {
+    console[method](PREFIX, msg, ...(fields ? [redact(fields)] : []));
+  };
+
+  return {
+    debug: (msg, fields) => {
+      if (debug) write('log', msg, fields);
+    },
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+  };
+}
@@ -0,0 +1,18 @@
+// Shape of a cart line in the serviceability request
+export function toCheckLine(line) {
+  return {
+    sku: line.merchandise?.sku,
+    variantId: line.merchandise?.id,
+    quantity: line.quantity
+  };
+}
+
+// Delivery dates come back as YYYY-MM-DD; read them as local dates so the
+// buyer's timezone can't shift them by a day
+export function formatDeliveryDate(i18n, date) {
+  return i18n.formatDate(new Date(`${date}T00:00:00`), {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+}
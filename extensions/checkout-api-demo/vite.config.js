@@ -3,9 +3,12 @@ import react from '@vitejs/plugin-react';
 
 export default defineConfig({
   plugins: [react()],
+  define: {
+    // Default backend for "direct" mode, e.g. a local tunnel during development
+    'process.env.SERVICEABILITY_BACKEND_URL': JSON.stringify(process.env.SERVICEABILITY_BACKEND_URL || ''),
+  },
   build: {
     outDir: 'dist',
     emptyOutDir: true,
   },
 });
-
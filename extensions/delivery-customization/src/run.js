@@ -0,0 +1,115 @@
+// @ts-check
+
+/**
+ * @typedef {import('../generated/api').RunInput} RunInput
+ * @typedef {import('../generated/api').FunctionRunResult} FunctionRunResult
+ * @typedef {import('../generated/api').Operation} Operation
+ */
+
+/**
+ * Per-shop behavior, stored in the delivery customization's
+ * `$app:delivery-customization.function-configuration` metafield.
+ *
+ * Each rule applies when its condition holds for the stored
+ * `custom.serviceability_data` result:
+ *   - notServiceable: the address (or an item) can't be delivered
+ *   - codUnavailable: the address is serviceable but cash on delivery isn't
+ *
+ * `titles` are case-insensitive substrings of delivery option titles; an
+ * empty list matches every option. `action` is 'hide', 'rename' or 'none'.
+ *
+ * @typedef {{ action: 'hide' | 'rename' | 'none', titles: string[], suffix?: string }} Rule
+ * @typedef {{ notServiceable: Rule, codUnavailable: Rule }} Configuration
+ */
+
+/** @type {Configuration} */
+const DEFAULT_CONFIGURATION = {
+  notServiceable: { action: 'hide', titles: ['express'] },
+  codUnavailable: { action: 'none', titles: [] },
+};
+
+/** @type {FunctionRunResult} */
+const NO_CHANGES = {
+  operations: [],
+};
+
+/**
+ * @param {RunInput} input
+ * @returns {FunctionRunResult}
+ */
+export function run(input) {
+  const stored = parseJson(input.cart.serviceability?.value);
+  if (!stored) {
+    return NO_CHANGES;
+  }
+
+  const configuration = {
+    ...DEFAULT_CONFIGURATION,
+    ...parseJson(input.deliveryCustomization.metafield?.value),
+  };
+
+  /** @type {Operation[]} */
+  const operations = [];
+
+  for (const group of input.cart.deliveryGroups) {
+    // Ignore results stored for a different address than this group ships to
+    if (!matchesPostalCode(stored.postalCode, group.deliveryAddress?.zip)) {
+      continue;
+    }
+
+    const rule = !stored.serviceable
+      ? configuration.notServiceable
+      : stored.paymentModes?.cod === false
+        ? configuration.codUnavailable
+        : null;
+    if (!rule || rule.action === 'none') {
+      continue;
+    }
+
+    for (const option of group.deliveryOptions) {
+      if (!matchesTitle(rule.titles, option.title)) {
+        continue;
+      }
+      operations.push(rule.action === 'hide'
+        ? { hide: { deliveryOptionHandle: option.handle } }
+        : { rename: { deliveryOptionHandle: option.handle, title: `${option.title ?? ''}${rule.suffix ?? ' (unavailable for this address)'}` } });
+    }
+  }
+
+  return { operations };
+}
+
+/**
+ * @param {string | undefined | null} value
+ */
+function parseJson(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string | undefined} stored
+ * @param {string | undefined | null} current
+ */
+function matchesPostalCode(stored, current) {
+  const normalize = (/** @type {string | undefined | null} */ value) => (value ?? '').replace(/\s+/g, '').toUpperCase();
+  return Boolean(stored) && normalize(stored) === normalize(current);
+}
+
+/**
+ * @param {string[] | undefined} titles
+ * @param {string | undefined | null} title
+ */
+function matchesTitle(titles, title) {
+  if (!titles || titles.length === 0) {
+    return true;
+  }
+  const lowered = (title ?? '').toLowerCase();
+  return titles.some((candidate) => lowered.includes(candidate.toLowerCase()));
+}
@@ -0,0 +1,104 @@
+// @ts-check
+
+/**
+ * @typedef {import('../generated/api').RunInput} RunInput
+ * @typedef {import('../generated/api').FunctionRunResult} FunctionRunResult
+ */
+
+/**
+ * Server-side counterpart of the checkout blocking in the UI extension.
+ * The checkout block stores every result in `custom.serviceability_data`;
+ * paths that skip the block (e.g. accelerated checkouts) may still reach
+ * completion after an address change, so the stored result is enforced here:
+ *
+ *   - a stored non-serviceable result for the current postal code is
+ *     rejected at every checkout step
+ *   - a result stored for a different postal code is rejected when the
+ *     buyer completes checkout
+ *   - a missing result follows the shop's `missingResult` setting, read from
+ *     the validation's `$app:serviceability-validation.function-configuration`
+ *     metafield
+ *
+ * `missingResult` is a trade-off. 'allow' (the default) lets accelerated
+ * checkouts, which never render the block, complete without a check at all.
+ * 'reject' closes that path at CHECKOUT_COMPLETION, but then every checkout
+ * that skips the block fails, so only choose it when buyers can't reach
+ * completion without the block (e.g. accelerated checkouts are turned off).
+ *
+ * The stored payload is signed, but a Function holds no secret and can't
+ * verify the signature, so a result written by a buyer-side script passes
+ * here. For a check that can't be forged, use the carrier service rates,
+ * which the backend computes itself.
+ *
+ * @typedef {{ missingResult: 'allow' | 'reject' }} Configuration
+ */
+
+/** @type {Configuration} */
+const DEFAULT_CONFIGURATION = {
+  missingResult: 'allow',
+};
+
+const ADDRESS_TARGET = '$.cart.deliveryGroups[0].deliveryAddress.zip';
+
+const MESSAGES = {
+  notServiceable: 'We can\'t deliver to this address. Please use a different shipping address.',
+  unchecked: 'We couldn\'t confirm delivery to this address. Please review your shipping address and try again.',
+};
+
+/**
+ * @param {RunInput} input
+ * @returns {FunctionRunResult}
+ */
+export function run(input) {
+  const step = input.buyerJourney?.step;
+  const zip = input.cart.deliveryGroups[0]?.deliveryAddress?.zip;
+
+  // Nothing to validate before the buyer has entered a delivery address
+  if (step === 'CART_INTERACTION' || !zip) {
+    return { errors: [] };
+  }
+
+  const stored = parseJson(input.cart.serviceability?.value);
+  if (!stored) {
+    const configuration = {
+      ...DEFAULT_CONFIGURATION,
+      ...parseJson(input.validation?.metafield?.value),
+    };
+    return configuration.missingResult === 'reject' && step === 'CHECKOUT_COMPLETION'
+      ? { errors: [{ localizedMessage: MESSAGES.unchecked, target: ADDRESS_TARGET }] }
+      : { errors: [] };
+  }
+
+  const matches = normalize(stored.postalCode) === normalize(zip);
+
+  if (matches && !stored.serviceable) {
+    return { errors: [{ localizedMessage: stored.message || MESSAGES.notServiceable, target: ADDRESS_TARGET }] };
+  }
+
+  if (!matches && step === 'CHECKOUT_COMPLETION') {
+    return { errors: [{ localizedMessage: MESSAGES.unchecked, target: ADDRESS_TARGET }] };
+  }
+
+  return { errors: [] };
+}
+
+/**
+ * @param {string | undefined | null} value
+ */
+function parseJson(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string | undefined | null} value
+ */
+function normalize(value) {
+  return (value ?? '').replace(/\s+/g, '').toUpperCase();
+}
@@ -0,0 +1,263 @@
+// Embedded admin UI. Runs inside the Shopify admin; App Bridge (loaded in
+// index.html as the global `shopify`) provides the session token that
+// authenticates every call to /api/*.
+
+const PAGE_SIZE = 50;
+
+const statusEl = document.getElementById('status');
+const settingsForm = document.getElementById('settings-form');
+const historyForm = document.getElementById('history-form');
+const historyRows = document.getElementById('history-rows');
+const historyStats = document.getElementById('history-stats');
+const historyMore = document.getElementById('history-more');
+const rulesRows = document.getElementById('rules-rows');
+const rulesDefault = document.getElementById('rules-default');
+const ruleForm = document.getElementById('rule-form');
+const exportsRows = document.getElementById('exports-rows');
+
+const ACTION_LABELS = { allow: 'Allow', deny: 'Deny', no_cod: 'No COD' };
+
+let historyOffset = 0;
+let rules = [];
+
+async function request(path, { method = 'GET', body, contentType = 'application/json' } = {}) {
+  const response = await fetch(path, {
+    method,
+    headers: {
+      Authorization: `Bearer ${await shopify.idToken()}`,
+      ...(body ? { 'Content-Type': contentType } : {})
+    },
+    body
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+  return response;
+}
+
+async function api(path, { method, body } = {}) {
+  const response = await request(path, { method, body: body ? JSON.stringify(body) : undefined });
+  return response.json();
+}
+
+function showStatus(message, { error = false } = {}) {
+  statusEl.textContent = message;
+  statusEl.classList.toggle('error', error);
+}
+
+function reportError(error) {
+  showStatus(error.message, { error: true });
+}
+
+function fillSettings({ providers, settings }) {
+  const select = settingsForm.elements.provider;
+  select.replaceChildren(new Option('Default', ''), ...providers.map((name) => new Option(name, name)));
+  select.value = settings.provider || '';
+
+  settingsForm.elements.username.value = settings.wms.username;
+  settingsForm.elements.password.value = '';
+  settingsForm.elements.password.placeholder = settings.wms.hasPassword
+    ? 'Leave empty to keep the saved password'
+    : 'Not set';
+  settingsForm.elements.fcUuid.value = settings.wms.fcUuid;
+  settingsForm.elements.clientCode.value = settings.wms.clientCode;
+  settingsForm.elements.blockingMode.value = settings.blockingMode;
+}
+
+function readSettings() {
+  const { elements } = settingsForm;
+  return {
+    provider: elements.provider.value,
+    blockingMode: elements.blockingMode.value || 'warn',
+    wms: {
+      username: elements.username.value,
+      password: elements.password.value,
+      fcUuid: elements.fcUuid.value,
+      clientCode: elements.clientCode.value
+    }
+  };
+}
+
+function textCell(text) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  return cell;
+}
+
+function renderRules() {
+  rulesRows.replaceChildren(...rules.map((rule, index) => {
+    const row = document.createElement('tr');
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      rules.splice(index, 1);
+      renderRules();
+    });
+    const actions = document.createElement('td');
+    actions.append(remove);
+    row.append(
+      textCell(ACTION_LABELS[rule.action] || rule.action),
+      textCell(rule.pattern),
+      textCell(rule.country || 'Any'),
+      textCell(rule.note || ''),
+      actions
+    );
+    return row;
+  }));
+}
+
+function fillRules(ruleSet) {
+  rules = ruleSet.rules;
+  rulesDefault.value = ruleSet.defaultAction;
+  renderRules();
+}
+
+function formatRate(rate) {
+  return rate === null ? '–' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function historyRow(entry) {
+  const row = document.createElement('tr');
+  const result = textCell(entry.serviceable ? 'Serviceable' : 'Not serviceable');
+  result.className = entry.serviceable ? 'yes' : 'no';
+
+  row.append(
+    textCell(new Date(entry.checkedAt).toLocaleString()),
+    textCell(entry.address?.postalCode || ''),
+    textCell(entry.address?.city || ''),
+    result,
+    textCell(entry.provider || '')
+  );
+  return row;
+}
+
+function download(blob, filename) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function exportRow(entry) {
+  const row = document.createElement('tr');
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = 'Download';
+  button.addEventListener('click', async () => {
+    try {
+      download(await (await request(`/api/exports/${encodeURIComponent(entry.id)}`)).blob(), `customer-data-${entry.id}.json`);
+    } catch (error) {
+      reportError(error);
+    }
+  });
+  const actions = document.createElement('td');
+  actions.append(button);
+
+  row.append(
+    textCell(new Date(entry.exportedAt).toLocaleString()),
+    textCell(entry.customer?.email || entry.customer?.id || ''),
+    textCell(String(entry.records)),
+    actions
+  );
+  return row;
+}
+
+async function loadExports() {
+  const { exports } = await api('/api/exports');
+  exportsRows.replaceChildren(...exports.map(exportRow));
+}
+
+async function loadHistory({ append = false } = {}) {
+  historyOffset = append ? historyOffset + PAGE_SIZE : 0;
+  const params = new URLSearchParams({ limit: PAGE_SIZE, offset: historyOffset });
+  const { q, serviceable } = historyForm.elements;
+  if (q.value) params.set('q', q.value);
+  if (serviceable.value) params.set('serviceable', serviceable.value);
+
+  const { total, stats, entries } = await api(`/api/history?${params}`);
+  if (!append) historyRows.replaceChildren();
+  historyRows.append(...entries.map(historyRow));
+
+  historyStats.textContent = `${total} check(s) · ${stats.serviceable} serviceable · `
+    + `${stats.notServiceable} not serviceable · serviceable rate ${formatRate(stats.serviceableRate)}`;
+  historyMore.hidden = historyOffset + entries.length >= total;
+}
+
+settingsForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const button = settingsForm.querySelector('button[type="submit"]');
+  button.disabled = true;
+  try {
+    fillSettings(await api('/api/settings', { method: 'PUT', body: readSettings() }));
+    showStatus('Settings saved');
+    shopify.toast.show('Settings saved');
+  } catch (error) {
+    reportError(error);
+  } finally {
+    button.disabled = false;
+  }
+});
+
+ruleForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const { action, pattern, country, note } = ruleForm.elements;
+  rules.push({ action: action.value, pattern: pattern.value, country: country.value, note: note.value });
+  ruleForm.reset();
+  renderRules();
+});
+
+document.getElementById('rules-save').addEventListener('click', async () => {
+  try {
+    fillRules(await api('/api/rules', { method: 'PUT', body: { defaultAction: rulesDefault.value, rules } }));
+    shopify.toast.show('Rules saved');
+  } catch (error) {
+    reportError(error);
+  }
+});
+
+document.getElementById('rules-export').addEventListener('click', async () => {
+  try {
+    download(await (await request('/api/rules/export')).blob(), 'pincode-rules.csv');
+  } catch (error) {
+    reportError(error);
+  }
+});
+
+document.getElementById('rules-import').addEventListener('change', async (event) => {
+  const [file] = event.target.files;
+  if (!file) return;
+  const replace = document.getElementById('rules-replace').checked;
+  try {
+    const response = await request(`/api/rules/import${replace ? '?replace=true' : ''}`, {
+      method: 'POST',
+      body: await file.text(),
+      contentType: 'text/csv'
+    });
+    fillRules(await response.json());
+    shopify.toast.show('Rules imported');
+  } catch (error) {
+    reportError(error);
+  } finally {
+    event.target.value = '';
+  }
+});
+
+historyForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  loadHistory().catch(reportError);
+});
+
+historyMore.addEventListener('click', () => {
+  loadHistory({ append: true }).catch(reportError);
+});
+
+Promise.all([
+  api('/api/settings').then(fillSettings),
+  api('/api/rules').then(fillRules),
+  loadHistory(),
+  loadExports()
+])
+  .catch(reportError);
@@ -0,0 +1,163 @@
+// Bulk serviceability checks, e.g. pre-checking a campaign's pincodes.
+//
+// Input is either JSON or CSV:
+//   JSON: ["560001", "110001"] or [{ postalCode, city, ... }], also wrapped
+//         as { rows: [...] } or { csv: "<csv text>" }
+//   CSV:  a header row naming the address fields (postalCode / pincode / zip,
+//         city, address1, address2, province, country), or a single column of
+//         pincodes without a header
+//
+// Every row goes through checkServiceability(), so the shop's provider,
+// cache and rules apply exactly as for single checks; rows are not added to
+// the check history. Rows run with bounded concurrency (BATCH_CONCURRENCY)
+// and a failing row is reported in its own `error` instead of failing the
+// batch.
+
+import { checkServiceability, pickAddress } from './serviceability.js';
+import { neutralizeFormula, parseCsv, toCsv } from './csv.js';
+
+const MAX_ROWS = Number(process.env.BATCH_MAX_ROWS || 500);
+const CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY || 5));
+
+// CSV header (lowercased) → address field
+const COLUMN_ALIASES = {
+  postalcode: 'postalCode',
+  postal_code: 'postalCode',
+  pincode: 'postalCode',
+  pin: 'postalCode',
+  zip: 'postalCode',
+  city: 'city',
+  address1: 'address1',
+  address2: 'address2',
+  province: 'province',
+  state: 'province',
+  country: 'country'
+};
+
+export const RESULT_COLUMNS = [
+  'row', 'postalCode', 'city', 'serviceable', 'prepaid', 'cod',
+  'minTransitDays', 'maxTransitDays', 'earliestDate', 'latestDate',
+  'message', 'provider', 'rule', 'cached', 'error'
+];
+
+export class BatchInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BatchInputError';
+    this.status = 400;
+  }
+}
+
+function rowsFromCsv(text) {
+  const [first = [], ...rest] = parseCsv(text);
+  const fields = first.map((column) => COLUMN_ALIASES[column.toLowerCase()]);
+
+  // No recognizable header: one pincode per line
+  if (!fields.includes('postalCode')) {
+    return [first, ...rest].map(([postalCode]) => ({ postalCode }));
+  }
+  return rest.map((values) => Object.fromEntries(
+    fields
+      .map((field, index) => [field, values[index]])
+      .filter(([field, value]) => field && value)
+  ));
+}
+
+// Rows in a request body, for charging the rate limit per row; invalid
+// input counts as 1 and is rejected by the route
+export function batchRowCount(body) {
+  try {
+    return parseBatchInput(body).length;
+  } catch {
+    return 1;
+  }
+}
+
+// Normalizes a request body into address rows
+export function parseBatchInput(body) {
+  let rows;
+  if (typeof body === 'string') {
+    rows = rowsFromCsv(body);
+  } else if (Array.isArray(body)) {
+    rows = body;
+  } else if (Array.isArray(body?.rows)) {
+    rows = body.rows;
+  } else if (typeof body?.csv === 'string') {
+    rows = rowsFromCsv(body.csv);
+  } else {
+    throw new BatchInputError('Send a JSON array of pincodes or addresses, { "rows": [...] }, { "csv": "..." } or a text/csv body');
+  }
+
+  if (rows.length === 0) throw new BatchInputError('Batch contains no rows');
+  if (rows.length > MAX_ROWS) {
+    throw new BatchInputError(`Batch has ${rows.length} rows; the limit is ${MAX_ROWS}`);
+  }
+
+  return rows.map((row) => pickAddress(
+    typeof row === 'object' && row !== null ? row : { postalCode: row }
+  ));
+}
+
+async function checkRow({ shop, shopVerified, address, locale }, index) {
+  const row = { row: index + 1, postalCode: address.postalCode ?? null, city: address.city ?? null };
+  if (!address.postalCode) {
+    return { ...row, serviceable: null, error: 'postalCode is required' };
+  }
+
+  try {
+    const result = await checkServiceability({
+      shop,
+      shopVerified,
+      address: { ...address, postalCode: String(address.postalCode) },
+      locale,
+      route: 'batch'
+    });
+    return {
+      ...row,
+      serviceable: result.serviceable,
+      prepaid: result.paymentModes.prepaid,
+      cod: result.paymentModes.cod,
+      ...(result.deliveryEstimate || {}),
+      message: result.message,
+      provider: result.provider,
+      rule: result.rule?.pattern ?? null,
+      cached: result.cached,
+      error: null
+    };
+  } catch (error) {
+    return { ...row, serviceable: null, error: error.message, status: error.status || 500 };
+  }
+}
+
+// Runs every address through the shared check, at most CONCURRENCY at a time.
+// Results keep the input order.
+export async function runBatch({ shop, shopVerified, addresses, locale, concurrency = CONCURRENCY }) {
+  const results = new Array(addresses.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < addresses.length) {
+      const index = next++;
+      results[index] = await checkRow({ shop, shopVerified, address: addresses[index], locale }, index);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, addresses.length) }, worker));
+
+  return {
+    shop: shop || 'unknown',
+    total: results.length,
+    serviceable: results.filter((result) => result.serviceable === true).length,
+    notServiceable: results.filter((result) => result.serviceable === false).length,
+    errors: results.filter((result) => result.error).length,
+    results
+  };
+}
+
+// Cells echo the caller's input (postalCode, city), so formulas are defused
+// before the file reaches a spreadsheet
+export function batchToCsv(batch) {
+  const rows = batch.results.map((result) => Object.fromEntries(
+    RESULT_COLUMNS.map((column) => [column, neutralizeFormula(result[column])])
+  ));
+  return toCsv(rows, RESULT_COLUMNS);
+}
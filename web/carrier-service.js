@@ -0,0 +1,118 @@
+// Carrier-calculated shipping backed by the serviceability check.
+//
+// Shopify posts a rate request for every checkout; we run the same check as
+// the /check-serviceability routes and only offer rates when the destination
+// (and every item) is serviceable. Rates come from the shop's `carrierRates`
+// configuration:
+//   carrierRates: [{ serviceName, serviceCode, priceCents, description? }]
+
+import { checkServiceability } from './serviceability.js';
+import { getShopConfig } from './store/shop-config.js';
+import { adminGraphql } from './shopify-admin.js';
+import { logger } from './logger.js';
+
+export const CARRIER_SERVICE_NAME = process.env.CARRIER_SERVICE_NAME || 'Serviceability Shipping';
+
+const DEFAULT_RATES = [
+  { serviceName: 'Standard Delivery', serviceCode: 'STANDARD', priceCents: 0 }
+];
+
+// Shopify rate request destination → our address shape
+function toAddress(destination = {}) {
+  return {
+    postalCode: destination.postal_code,
+    city: destination.city,
+    address1: destination.address1,
+    address2: destination.address2,
+    province: destination.province,
+    country: destination.country
+  };
+}
+
+function toLines(items = []) {
+  return items.map((item) => ({
+    sku: item.sku || null,
+    variantId: item.variant_id ? `gid://shopify/ProductVariant/${item.variant_id}` : null,
+    quantity: Number(item.quantity) || 1
+  }));
+}
+
+export async function quoteRates(shop, rateRequest) {
+  const { destination, items, currency, locale } = rateRequest || {};
+  const result = await checkServiceability({
+    shop,
+    address: toAddress(destination),
+    // The rate request names no customer, only the destination's email
+    customer: { email: destination?.email || undefined },
+    lines: toLines(items),
+    locale,
+    route: 'carrier_service',
+    // The rate request's HMAC was verified by the route
+    shopVerified: true
+  });
+
+  if (!result.serviceable) {
+    return { result, rates: [] };
+  }
+
+  const rates = (getShopConfig(shop)?.carrierRates || DEFAULT_RATES).map((rate) => ({
+    service_name: rate.serviceName,
+    service_code: rate.serviceCode,
+    total_price: String(rate.priceCents ?? 0),
+    currency,
+    description: rate.description || result.message,
+    min_delivery_date: result.deliveryEstimate?.earliestDate,
+    max_delivery_date: result.deliveryEstimate?.latestDate
+  }));
+  return { result, rates };
+}
+
+const CARRIER_SERVICES_QUERY = `
+  query CarrierServices {
+    carrierServices(first: 50) {
+      nodes { id name callbackUrl }
+    }
+  }
+`;
+
+const CARRIER_SERVICE_CREATE = `
+  mutation CarrierServiceCreate($input: DeliveryCarrierServiceCreateInput!) {
+    carrierServiceCreate(input: $input) {
+      carrierService { id name callbackUrl }
+      userErrors { field message }
+    }
+  }
+`;
+
+const CARRIER_SERVICE_UPDATE = `
+  mutation CarrierServiceUpdate($input: DeliveryCarrierServiceUpdateInput!) {
+    carrierServiceUpdate(input: $input) {
+      carrierService { id name callbackUrl }
+      userErrors { field message }
+    }
+  }
+`;
+
+// Creates our carrier service for the shop, or points the existing one at
+// the current callback URL
+export async function registerCarrierService(shop, { appUrl }) {
+  const callbackUrl = new URL('/carrier-service/rates', appUrl).toString();
+  const { carrierServices } = await adminGraphql(shop, CARRIER_SERVICES_QUERY);
+  const existing = carrierServices.nodes.find((service) => service.name === CARRIER_SERVICE_NAME);
+
+  const { carrierServiceCreate, carrierServiceUpdate } = existing
+    ? await adminGraphql(shop, CARRIER_SERVICE_UPDATE, {
+      input: { id: existing.id, callbackUrl, active: true }
+    })
+    : await adminGraphql(shop, CARRIER_SERVICE_CREATE, {
+      input: { name: CARRIER_SERVICE_NAME, callbackUrl, active: true, supportsServiceDiscovery: true }
+    });
+
+  const payload = carrierServiceCreate || carrierServiceUpdate;
+  if (payload.userErrors?.length) {
+    throw new Error(`Carrier service registration failed: ${payload.userErrors.map((error) => error.message).join('; ')}`);
+  }
+
+  logger.info(`Carrier service ${existing ? 'updated' : 'created'}`, { shop, callbackUrl });
+  return payload.carrierService;
+}
@@ -0,0 +1,77 @@
+// Installs the serviceability checkout validation Function for a shop and
+// writes its configuration metafield. The configuration is taken from the
+// shop's `checkoutValidation` setting (see
+// extensions/serviceability-validation/src/run.js for its shape).
+
+import { adminGraphql } from './shopify-admin.js';
+import { getShopConfig } from './store/shop-config.js';
+import { logger } from './logger.js';
+
+const TITLE = 'Serviceability checkout rule';
+const METAFIELD_NAMESPACE = '$app:serviceability-validation';
+const METAFIELD_KEY = 'function-configuration';
+
+const FUNCTIONS_QUERY = `
+  query CheckoutValidationFunctions {
+    shopifyFunctions(first: 25, apiType: "cart_checkout_validation") {
+      nodes { id title }
+    }
+    validations(first: 50) {
+      nodes { id title shopifyFunction { id } }
+    }
+  }
+`;
+
+const VALIDATION_CREATE = `
+  mutation ValidationCreate($validation: ValidationCreateInput!) {
+    validationCreate(validation: $validation) {
+      validation { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const VALIDATION_UPDATE = `
+  mutation ValidationUpdate($id: ID!, $validation: ValidationUpdateInput!) {
+    validationUpdate(id: $id, validation: $validation) {
+      validation { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+export async function configureCheckoutValidation(shop) {
+  const configuration = getShopConfig(shop)?.checkoutValidation || {};
+  const { shopifyFunctions, validations } = await adminGraphql(shop, FUNCTIONS_QUERY);
+
+  const fn = shopifyFunctions.nodes[0];
+  if (!fn) {
+    throw new Error('Checkout validation function is not deployed; run `shopify app deploy` first');
+  }
+  const existing = validations.nodes.find((validation) => validation.shopifyFunction?.id === fn.id);
+
+  const validation = {
+    title: TITLE,
+    enable: true,
+    // A failing Function run must not stop every checkout
+    blockOnFailure: false,
+    metafields: [{
+      namespace: METAFIELD_NAMESPACE,
+      key: METAFIELD_KEY,
+      type: 'json',
+      value: JSON.stringify(configuration)
+    }]
+  };
+
+  const data = existing
+    ? await adminGraphql(shop, VALIDATION_UPDATE, { id: existing.id, validation })
+    : await adminGraphql(shop, VALIDATION_CREATE, { validation: { ...validation, functionId: fn.id } });
+
+  const payload = data.validationCreate || data.validationUpdate;
+  if (payload.userErrors?.length) {
+    throw new Error(`Checkout validation setup failed: ${payload.userErrors.map((error) => error.message).join('; ')}`);
+  }
+
+  logger.info(`Checkout validation ${existing ? 'updated' : 'created'}`, { shop });
+  return payload.validation;
+}
@@ -0,0 +1,68 @@
+// Minimal CSV reading and writing (RFC 4180: comma separated, fields with
+// commas, quotes or newlines wrapped in double quotes, "" for a quote).
+
+// Returns an array of rows, each an array of strings. Blank lines are skipped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      pushRow(rows, row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  pushRow(rows, row);
+  return rows;
+}
+
+function pushRow(rows, row) {
+  if (row.some((value) => value.trim() !== '')) {
+    rows.push(row.map((value) => value.trim()));
+  }
+}
+
+function escapeField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Spreadsheets evaluate cells starting with =, +, - or @ (and tab / CR) as
+// formulas; a leading ' makes them plain text
+export function neutralizeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+// Objects → CSV text with a header row, in the given column order
+export function toCsv(records, columns) {
+  const lines = [columns.map(escapeField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map((column) => escapeField(record[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,75 @@
+// Installs the serviceability delivery customization Function for a shop and
+// writes its configuration metafield. The configuration is taken from the
+// shop's `deliveryCustomization` setting (see
+// extensions/delivery-customization/src/run.js for its shape).
+
+import { adminGraphql } from './shopify-admin.js';
+import { getShopConfig } from './store/shop-config.js';
+import { logger } from './logger.js';
+
+const TITLE = 'Serviceability delivery rules';
+const METAFIELD_NAMESPACE = '$app:delivery-customization';
+const METAFIELD_KEY = 'function-configuration';
+
+const FUNCTIONS_QUERY = `
+  query DeliveryCustomizationFunctions {
+    shopifyFunctions(first: 25, apiType: "delivery_customization") {
+      nodes { id title }
+    }
+    deliveryCustomizations(first: 50) {
+      nodes { id title functionId }
+    }
+  }
+`;
+
+const CUSTOMIZATION_CREATE = `
+  mutation DeliveryCustomizationCreate($deliveryCustomization: DeliveryCustomizationInput!) {
+    deliveryCustomizationCreate(deliveryCustomization: $deliveryCustomization) {
+      deliveryCustomization { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const CUSTOMIZATION_UPDATE = `
+  mutation DeliveryCustomizationUpdate($id: ID!, $deliveryCustomization: DeliveryCustomizationInput!) {
+    deliveryCustomizationUpdate(id: $id, deliveryCustomization: $deliveryCustomization) {
+      deliveryCustomization { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+export async function configureDeliveryCustomization(shop) {
+  const configuration = getShopConfig(shop)?.deliveryCustomization || {};
+  const { shopifyFunctions, deliveryCustomizations } = await adminGraphql(shop, FUNCTIONS_QUERY);
+
+  const fn = shopifyFunctions.nodes[0];
+  if (!fn) {
+    throw new Error('Delivery customization function is not deployed; run `shopify app deploy` first');
+  }
+  const existing = deliveryCustomizations.nodes.find((customization) => customization.functionId === fn.id);
+
+  const deliveryCustomization = {
+    title: TITLE,
+    enabled: true,
+    metafields: [{
+      namespace: METAFIELD_NAMESPACE,
+      key: METAFIELD_KEY,
+      type: 'json',
+      value: JSON.stringify(configuration)
+    }]
+  };
+
+  const data = existing
+    ? await adminGraphql(shop, CUSTOMIZATION_UPDATE, { id: existing.id, deliveryCustomization })
+    : await adminGraphql(shop, CUSTOMIZATION_CREATE, { deliveryCustomization: { ...deliveryCustomization, functionId: fn.id } });
+
+  const payload = data.deliveryCustomizationCreate || data.deliveryCustomizationUpdate;
+  if (payload.userErrors?.length) {
+    throw new Error(`Delivery customization setup failed: ${payload.userErrors.map((error) => error.message).join('; ')}`);
+  }
+
+  logger.info(`Delivery customization ${existing ? 'updated' : 'created'}`, { shop });
+  return payload.deliveryCustomization;
+}
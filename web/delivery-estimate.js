@@ -0,0 +1,37 @@
+// Delivery promise attached to serviceable results.
+//
+// Providers may report transit days, explicit dates, or both:
+//   { minTransitDays, maxTransitDays, earliestDate, latestDate }
+// Missing dates are derived from the transit days counted from today, and a
+// single value is treated as a one-day range. Dates are YYYY-MM-DD.
+
+function addDays(from, days) {
+  const date = new Date(from);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function toDays(value) {
+  const days = Number(value);
+  return Number.isFinite(days) && days >= 0 ? Math.ceil(days) : null;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+export function buildDeliveryEstimate(delivery, now = new Date()) {
+  if (!delivery) return null;
+
+  const minTransitDays = toDays(delivery.minTransitDays ?? delivery.maxTransitDays);
+  const maxTransitDays = toDays(delivery.maxTransitDays ?? delivery.minTransitDays);
+  const earliestDate = toDate(delivery.earliestDate ?? delivery.latestDate)
+    ?? (minTransitDays !== null ? addDays(now, minTransitDays) : null);
+  const latestDate = toDate(delivery.latestDate ?? delivery.earliestDate)
+    ?? (maxTransitDays !== null ? addDays(now, maxTransitDays) : null);
+
+  if (!earliestDate && !latestDate) return null;
+  return { minTransitDays, maxTransitDays, earliestDate, latestDate };
+}
@@ -1,66 +1,62 @@
+// Load environment variables before any module reads process.env
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
-import crypto from 'crypto';
-
-// Load environment variables
-dotenv.config();
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { checkServiceability, pickAddress, pickCustomer, pickLines } from './serviceability.js';
+import { pickLocale } from './messages.js';
+import { batchRowCount, parseBatchInput, runBatch, batchToCsv } from './batch-serviceability.js';
+import { resolveProvider } from './providers/index.js';
+import { verifyServiceabilityData } from './serviceability-data.js';
+import createAuthRouter, { isValidShopDomain } from './routes/auth.js';
+import createWebhookRouter from './routes/webhooks.js';
+import createCarrierServiceRouter from './routes/carrier-service.js';
+import createAdminApiRouter from './routes/admin-api.js';
+import { getOfflineSession } from './store/sessions.js';
+import { invalidateShop } from './result-cache.js';
+import { requireBearerToken } from './middleware/bearer-auth.js';
+import { requestId, restoreLogContext } from './middleware/request-id.js';
+import { rateLimit } from './middleware/rate-limit.js';
+import { verifyAppProxy } from './middleware/app-proxy.js';
+import { logger } from './logger.js';
+import { renderMetrics } from './metrics.js';
 
 const PORT = process.env.PORT || 4000;
 const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET;
 const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY;
+const SHOPIFY_APP_URL = process.env.SHOPIFY_APP_URL || 'https://test-serviceability.onrender.com';
+const SCOPES = process.env.SCOPES || 'read_products,read_shipping,write_shipping,write_delivery_customizations,write_validations';
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+// Express "trust proxy" setting, e.g. 1 behind a single load balancer
+const TRUST_PROXY = process.env.TRUST_PROXY;
+const ADMIN_UI_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'admin');
 
 if (!SHOPIFY_API_SECRET || !SHOPIFY_API_KEY) {
-  console.error('❌ ERROR: Missing Shopify app credentials in environment variables!');
-  console.error('Please set SHOPIFY_API_SECRET and SHOPIFY_API_KEY in web/.env');
+  logger.error('Missing Shopify app credentials: set SHOPIFY_API_SECRET and SHOPIFY_API_KEY in web/.env');
   process.exit(1);
 }
 
 const app = express();
-app.use('/webhooks', express.raw({ type: '*/*' }));
-
-function verifyShopifyWebhook(secret) {
-  return (req, res, next) => {
-    try {
-      const hmacHeader = req.get("X-Shopify-Hmac-Sha256");
-      if (!hmacHeader) {
-        console.error("Missing HMAC header");
-        return res.status(401).send("Unauthorized");
-      }
-
-      const rawBody = req.body;
-      const generatedHash = crypto
-        .createHmac("sha256", secret)
-        .update(rawBody, "utf8")
-        .digest("base64");
-
-      const isValid = crypto.timingSafeEqual(
-        Buffer.from(generatedHash),
-        Buffer.from(hmacHeader)
-      );
-
-      if (!isValid) {
-        console.error("Webhook HMAC validation failed");
-        return res.status(401).send("Unauthorized");
-      }
-
-      req.body = JSON.parse(rawBody.toString("utf8"));
-      next();
-
-    } catch (error) {
-      console.error("Error verifying webhook:", error);
-      res.status(400).send("Invalid Webhook");
-    }
-  };
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 }
+app.use(requestId());
+app.use('/webhooks', express.raw({ type: '*/*' }));
+app.use('/carrier-service', express.raw({ type: '*/*' }));
 
 // Enhanced CORS for Shopify App Proxy through ngrok tunnel
 app.use(cors({
   origin: '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
-  exposedHeaders: ['Content-Length', 'Content-Type'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-Request-Id'],
+  exposedHeaders: [
+    'Content-Length', 'Content-Type', 'X-Request-Id',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'
+  ],
   maxAge: 86400, // 24 hours
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -70,7 +66,7 @@ app.use(cors({
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Request-Id');
 
   // Handle preflight OPTIONS requests
   if (req.method === 'OPTIONS') {
@@ -80,72 +76,64 @@ app.use((req, res, next) => {
 });
 
 app.use(express.json());
+// Bulk checks also accept an uploaded CSV file as the raw body
+app.use(
+  ['/proxy/check-serviceability/batch', '/dev/check-serviceability/batch'],
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' })
+);
+// The body parsers above drop the request's log context
+app.use(restoreLogContext());
 
-// App Proxy signature verification
-function verifyAppProxy(req) {
-  const { signature, ...rest } = req.query || {};
-  if (!signature) return false;
-  const sorted = Object.keys(rest)
-    .sort()
-    .map((k) => `${k}=${rest[k]}`)
-    .join('');
-  const expected = crypto
-    .createHmac('sha256', SHOPIFY_API_SECRET)
-    .update(sorted)
-    .digest('hex');
-  return signature === expected;
+// App Proxy signature verification (sets req.shopDomain)
+app.use('/proxy', verifyAppProxy({ secret: SHOPIFY_API_SECRET }));
+
+// Token buckets: /proxy per verified shop (every proxied request comes from
+// Shopify's IPs), /dev per client IP. A batch costs one token per row, since
+// each row may be a provider call.
+function requestCost(req) {
+  return req.method === 'POST' && req.path === '/check-serviceability/batch' ? batchRowCount(req.body) : 1;
 }
+app.use('/proxy', rateLimit({ perIp: false, cost: requestCost }));
+app.use('/dev', rateLimit({ cost: requestCost }));
 
-app.use('/proxy', (req, res, next) => {
-  console.log('\n====================================');
-  console.log('📥 APP PROXY REQUEST RECEIVED');
-  console.log('====================================');
-  console.log('Method:', req.method);
-  console.log('Path:', req.path);
-  console.log('Full URL:', req.url);
-  console.log('\n🔍 Query Parameters:');
-  console.log(JSON.stringify(req.query, null, 2));
-  console.log('\n📨 Headers:');
-  console.log('  Origin:', req.get('origin') || 'none');
-  console.log('  Referer:', req.get('referer') || 'none');
-  console.log('  User-Agent:', req.get('user-agent') || 'none');
-  console.log('====================================\n');
-
-  if (!verifyAppProxy(req)) {
-    console.warn('❌ App Proxy signature verification FAILED');
-    console.warn('   Signature received:', req.query?.signature);
-    console.warn('   Shop param:', req.query?.shop);
-    console.warn('   Timestamp:', req.query?.timestamp);
-
-    // Return detailed error for debugging
-    return res.status(401).json({
-      success: false,
-      error: 'Invalid app proxy signature',
-      debug: {
-        receivedShop: req.query?.shop,
-        receivedSignature: req.query?.signature,
-        hasTimestamp: !!req.query?.timestamp,
-        allParams: Object.keys(req.query)
-      }
-    });
-  }
+// Webhooks (app/uninstalled + mandatory GDPR compliance topics)
+app.use(createWebhookRouter({ secret: SHOPIFY_API_SECRET }));
 
-  req.shopDomain = req.query?.shop;
-  console.log(`✅ App Proxy signature VERIFIED for shop: ${req.shopDomain}\n`);
-  next();
-});
+// Carrier-calculated shipping rates (only for serviceable destinations)
+app.use(createCarrierServiceRouter({ secret: SHOPIFY_API_SECRET }));
 
-app.post(
-  "/webhooks",
-  verifyShopifyWebhook(process.env.SHOPIFY_API_SECRET),
-  (req, res) => {
-    console.log("Verified webhook:", req.body);
-    res.status(200).send("OK");
-  }
-);
+// OAuth install flow (/auth, /auth/callback)
+app.use(createAuthRouter({
+  apiKey: SHOPIFY_API_KEY,
+  apiSecret: SHOPIFY_API_SECRET,
+  scopes: SCOPES,
+  appUrl: SHOPIFY_APP_URL
+}));
+
+// Embedded admin UI: static assets plus its session-token protected API
+app.use('/admin-ui', express.static(ADMIN_UI_DIR, { index: false }));
+app.use(createAdminApiRouter({ apiKey: SHOPIFY_API_KEY, secret: SHOPIFY_API_SECRET }));
+
+const adminPage = fs.readFileSync(path.join(ADMIN_UI_DIR, 'index.html'), 'utf8')
+  .replace('%SHOPIFY_API_KEY%', SHOPIFY_API_KEY);
 
-// Health check endpoint
+// Health check endpoint. Also starts OAuth when the admin opens the app for a
+// shop we have no offline token for yet, and serves the admin UI when the
+// Shopify admin loads the app embedded.
 app.get('/', (req, res) => {
+  const { shop } = req.query;
+  const embedded = req.query.embedded === '1' || Boolean(req.query.host);
+  if (isValidShopDomain(shop) && !getOfflineSession(shop)) {
+    // Inside the admin's iframe OAuth has to start from the top window
+    const authPath = embedded ? '/auth/exit-iframe' : '/auth';
+    return res.redirect(`${authPath}?shop=${encodeURIComponent(shop)}`);
+  }
+
+  if (isValidShopDomain(shop) && embedded) {
+    res.set('Content-Security-Policy', `frame-ancestors https://${shop} https://admin.shopify.com;`);
+    return res.type('html').send(adminPage);
+  }
+
   res.json({
     status: 'OK',
     message: 'Shopify App Backend with External API Integration (App Proxy Only)'
@@ -156,7 +144,7 @@ app.get('/', (req, res) => {
 // ⚠️ REMOVE BEFORE PRODUCTION!
 app.get('/dev/external-data', async (req, res) => {
   try {
-    console.log('⚠️ DEV ENDPOINT CALLED (no auth) - REMOVE IN PRODUCTION!');
+    logger.warn('Dev endpoint called without authentication', { path: req.path });
 
     const response = await fetch('https://jsonplaceholder.typicode.com/users/1');
 
@@ -176,7 +164,7 @@ app.get('/dev/external-data', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error calling external API:', error);
+    logger.error('External API call failed', { error });
     res.status(500).json({
       success: false,
       error: error.message,
@@ -189,66 +177,32 @@ app.get('/dev/external-data', async (req, res) => {
 // ⚠️ REMOVE BEFORE PRODUCTION!
 app.post('/dev/check-serviceability', async (req, res) => {
   try {
-    const { postalCode, city, address1, address2, province, country, shop } = req.body;
-    console.log('\n====================================');
-    console.log('🧪 DEV SERVICEABILITY CHECK (NO AUTH)');
-    console.log('====================================');
-    console.log('⚠️ NO AUTHENTICATION - DEV MODE ONLY!');
-    console.log('Shop:', shop || 'not provided');
-    console.log('Postal Code:', postalCode);
-    console.log('City:', city);
-    console.log('Address:', address1, address2);
-    console.log('Province:', province);
-    console.log('Country:', country);
-    console.log('====================================\n');
-
-    const accessToken = await loginToWMS();
-    console.log("accessToken", accessToken);
-    const addressString = `${address1 ? address1 : ''}${address2 ? ', ' + address2 : ''}, ${city}, ${province || ''} ${postalCode}`;
-    console.log("addressString", addressString);
-    const requestBody = {
-      loc_type: "address",
-      consignee_address: addressString
-    };
-
-
-    // // Mock serviceability logic - replace with actual API call
-    // const serviceablePincodes = ['110001', '110002', '400001', '560001', '92998', '92998-3874'];
-    // const isServiceable = serviceablePincodes.some(pin => postalCode?.includes(pin));
-
-    const isServiceable = await fetch(`https://dev-api-wms.delhivery.com/wms-dev/platform/serviceability/AUTOCLIENT`, {
-      method: 'POST',
-      headers: {
-        'fc-uuid': 'daaf0742ee084d13886eaaf7e0a19dee',
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
+    const { shop } = req.body;
+    const address = pickAddress(req.body);
+    logger.warn('Dev serviceability check without authentication', { shop, address });
+
+    const result = await checkServiceability({
+      shop,
+      address,
+      customer: pickCustomer(req.body),
+      lines: pickLines(req.body),
+      locale: pickLocale(req, req.body),
+      route: 'dev'
     });
-    const isServiceableData = await isServiceable.json();
-    console.log("<<<<<<isServiceableData>>>>>>", isServiceableData);
-    // console.log("<<<<<<isServiceable>>>>>>", isServiceable);
-
-    const result = {
-      serviceable: isServiceableData.success,
-      message: isServiceableData.success
-        ? 'Delivery available to this location'
-        : 'Delivery not available to this location',
-      postalCode,
-      city,
-      shop: shop || 'unknown',
-      timestamp: new Date().toISOString(),
-      // warning: '⚠️ DEV MODE - No authentication!'
-    };
 
-    console.log('📦 Serviceability Result:', result);
-    console.log('✅ Sending response to extension...\n');
+    logger.info('Serviceability checked', {
+      shop,
+      postalCode: address.postalCode,
+      serviceable: result.serviceable,
+      provider: result.provider,
+      cached: result.cached
+    });
 
     res.json(result);
 
   } catch (error) {
-    console.error('❌ Error checking serviceability:', error);
-    res.status(500).json({
+    logger.error('Serviceability check failed', { error });
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
       timestamp: new Date().toISOString()
@@ -256,33 +210,9 @@ app.post('/dev/check-serviceability', async (req, res) => {
   }
 });
 
-async function loginToWMS() {
-  const username = "autouser";
-  const password = "Delhivery@12345";
-  try {
-
-    const response = await fetch(`https://dev-api-wms.delhivery.com/wms-dev/auth/user/authenticate`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ username, password })
-    })
-    if (!response.ok) {
-      throw new Error(`API request failed with status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data.data.access_token;
-  } catch (error) {
-    console.error('Login to WMS failed:', error);
-    throw error;
-  }
-}
-
 // Endpoint to call external public API (via App Proxy)
 app.get('/proxy/external-data', async (req, res) => {
   try {
-    console.log('Fetching data from external API...');
 
     // Using JSONPlaceholder - a free fake REST API for testing
     const response = await fetch('https://jsonplaceholder.typicode.com/users/1');
@@ -293,8 +223,6 @@ app.get('/proxy/external-data', async (req, res) => {
 
     const data = await response.json();
 
-    console.log('External API data received:', data);
-
     // Return the data with additional metadata
     const responseData = {
       success: true,
@@ -307,7 +235,7 @@ app.get('/proxy/external-data', async (req, res) => {
     res.json(responseData);
 
   } catch (error) {
-    console.error('Error calling external API:', error);
+    logger.error('External API call failed', { error });
     const errorData = {
       success: false,
       error: error.message,
@@ -320,8 +248,6 @@ app.get('/proxy/external-data', async (req, res) => {
 // Additional endpoint to fetch posts from external API
 app.get('/proxy/external-posts', async (req, res) => {
   try {
-    console.log('Fetching posts from external API...');
-
     // Get query parameter for limit (default to 5)
     const limit = req.query.limit || 5;
 
@@ -333,7 +259,7 @@ app.get('/proxy/external-posts', async (req, res) => {
 
     const posts = await response.json();
 
-    console.log(`Fetched ${posts.length} posts from external API`);
+    logger.debug('External API posts fetched', { count: posts.length });
 
     const responseData = {
       success: true,
@@ -347,7 +273,7 @@ app.get('/proxy/external-posts', async (req, res) => {
     res.json(responseData);
 
   } catch (error) {
-    console.error('Error calling external API:', error);
+    logger.error('External API call failed', { error });
     const errorData = {
       success: false,
       error: error.message,
@@ -360,140 +286,138 @@ app.get('/proxy/external-posts', async (req, res) => {
 // Serviceability check endpoint - Main use case!
 // Returns data that the extension will write to cart metafields
 
-// GET handler - accepts query parameters
-app.get('/proxy/check-serviceability', async (req, res) => {
+// Both handlers go through the provider selected for req.shopDomain
+async function handleProxyServiceability(req, res, source) {
   try {
-    const { postalCode, city, address1, address2, province, country } = req.query;
-
-    console.log('=================================');
-    console.log('Checking serviceability (GET):');
-    console.log({
-      postalCode,
-      city,
-      address1,
-      address2,
-      province,
-      country
+    const address = pickAddress(source);
+
+    const result = await checkServiceability({
+      shop: req.shopDomain,
+      address,
+      customer: pickCustomer(source, req.loggedInCustomerId),
+      lines: pickLines(source),
+      locale: pickLocale(req, source),
+      route: 'proxy',
+      shopVerified: true
     });
-    console.log('=================================');
 
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    // DEMO LOGIC: Allow all except postal codes starting with "999"
-    const isServiceable = !postalCode?.startsWith('999');
-
-    console.log(`Result: ${isServiceable ? '✅ SERVICEABLE' : '❌ NOT SERVICEABLE'}`);
+    logger.info('Serviceability checked', {
+      shop: req.shopDomain,
+      postalCode: address.postalCode,
+      serviceable: result.serviceable,
+      provider: result.provider,
+      cached: result.cached
+    });
 
-    const responseData = {
-      serviceable: isServiceable,
-      message: isServiceable
-        ? 'Delivery available to this location'
-        : 'Delivery not available to this location',
-      postalCode,
-      city,
-      timestamp: new Date().toISOString(),
-      shop: req.shopDomain
-    };
-    res.json(responseData);
+    res.json(result);
 
   } catch (error) {
-    console.error('Error checking serviceability:', error);
+    logger.error('Serviceability check failed', { shop: req.shopDomain, error });
     const errorData = {
       serviceable: false,
       error: error.message,
       timestamp: new Date().toISOString()
     };
-    res.status(500).json(errorData);
+    res.status(error.status || 500).json(errorData);
   }
-});
+}
+
+// GET handler - accepts query parameters
+app.get('/proxy/check-serviceability', (req, res) => handleProxyServiceability(req, res, req.query));
 
 // POST handler - accepts JSON body
-app.post('/proxy/check-serviceability', async (req, res) => {
+app.post('/proxy/check-serviceability', (req, res) => handleProxyServiceability(req, res, req.body));
+
+// Bulk checks: JSON array or CSV in, per-row results out as JSON, or as CSV
+// with ?format=csv / Accept: text/csv
+async function handleBatchServiceability(req, res, shop, { shopVerified = false } = {}) {
   try {
-    const { postalCode, city, address1, address2, province, country } = req.body;
-
-    console.log('=================================');
-    console.log('Checking serviceability for:');
-    console.log({
-      postalCode,
-      city,
-      address1,
-      address2,
-      province,
-      country
+    const addresses = parseBatchInput(req.body);
+
+    const batch = await runBatch({ shop, shopVerified, addresses, locale: pickLocale(req, req.query) });
+    logger.info('Batch serviceability checked', {
+      shop,
+      rows: batch.total,
+      serviceable: batch.serviceable,
+      notServiceable: batch.notServiceable,
+      errors: batch.errors
     });
-    console.log('=================================');
 
-    // FOR NOW: Simple logic - you'll replace this with actual API call
-    // Example: Block specific postal codes, or call your logistics API
+    if (req.query.format === 'csv' || (req.query.format !== 'json' && req.accepts(['json', 'csv']) === 'csv')) {
+      return res.type('text/csv').attachment('serviceability.csv').send(batchToCsv(batch));
+    }
+    res.json(batch);
 
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
+  } catch (error) {
+    logger.error('Batch serviceability check failed', { shop, error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
 
-    // DEMO LOGIC: Allow all except postal codes starting with "999"
-    const isServiceable = !postalCode?.startsWith('999');
+app.post('/proxy/check-serviceability/batch', (req, res) => handleBatchServiceability(req, res, req.shopDomain, { shopVerified: true }));
 
-    // TODO: Replace with actual external API call
-    // const response = await fetch('https://your-logistics-api.com/check', {
-    //   method: 'POST',
-    //   headers: {
-    //     'Authorization': `Bearer ${process.env.LOGISTICS_API_KEY}`,
-    //     'Content-Type': 'application/json'
-    //   },
-    //   body: JSON.stringify({ postalCode, city })
-    // });
-    // const result = await response.json();
-    // const isServiceable = result.serviceable;
+// TEMPORARY: Dev-only batch endpoint (no auth for testing). It never runs
+// as a shop, so unauthenticated callers can't spend a merchant's WMS
+// credentials; rows go to the default provider and environment rules.
+app.post('/dev/check-serviceability/batch', (req, res) => handleBatchServiceability(req, res, undefined));
 
-    console.log(`Result: ${isServiceable ? '✅ SERVICEABLE' : '❌ NOT SERVICEABLE'}`);
+// Drop every cached serviceability result for a shop, e.g. after its WMS
+// configuration or coverage changed
+app.delete(
+  '/admin/cache/:shop',
+  requireBearerToken(ADMIN_API_TOKEN, { name: 'Admin API' }),
+  (req, res) => {
+    const { shop } = req.params;
+    const removed = invalidateShop(shop);
+    logger.info('Serviceability cache invalidated', { shop, removed });
+    res.json({ success: true, shop, removed });
+  }
+);
 
-    const responseData = {
-      serviceable: isServiceable,
-      message: isServiceable
-        ? 'Delivery available to this location'
-        : 'Delivery not available to this location',
-      postalCode,
-      city,
-      timestamp: new Date().toISOString(),
-      shop: req.shopDomain
-    };
-    res.json(responseData);
+// Prometheus scrape endpoint (see metrics.js)
+app.get(
+  '/metrics',
+  requireBearerToken(METRICS_TOKEN, { name: 'Metrics' }),
+  (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+  }
+);
 
-  } catch (error) {
-    console.error('Error checking serviceability:', error);
-    const errorData = {
-      serviceable: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    };
-    res.status(500).json(errorData);
+// Verify a custom.serviceability_data payload read back from the cart
+// before trusting its `serviceable` flag. `variantIds` are the cart's; a
+// payload signed for other lines is rejected.
+function handleVerifyServiceabilityData(req, res, shop) {
+  const variantIds = Array.isArray(req.body?.variantIds) ? req.body.variantIds.map(String) : undefined;
+  const verification = verifyServiceabilityData(req.body?.data, { shop, variantIds });
+  if (!verification.valid) {
+    logger.warn('Serviceability data rejected', { shop, reason: verification.reason });
   }
-});
+  res.json(verification);
+}
 
-app.listen(PORT, () => {
-  console.log('\n====================================');
-  console.log('🚀 SERVER STARTED');
-  console.log('====================================');
-  console.log(`Port: ${PORT}`);
-  console.log(`URL: http://localhost:${PORT}`);
-  console.log('====================================\n');
-
-  console.log('🔐 PRODUCTION ENDPOINTS (App Proxy - Authenticated):');
-  console.log('   Call via: https://<shop>.myshopify.com/apps/serviceability/...');
-  console.log(`   • GET  /proxy/external-data`);
-  console.log(`   • GET  /proxy/external-posts?limit=5`);
-  console.log(`   • POST /proxy/check-serviceability`);
-  console.log('   ✅ Requires valid Shopify signature\n');
-
-  console.log('⚠️  DEV ENDPOINTS (Direct - No Auth):');
-  console.log('   Call directly for testing:');
-  console.log(`   • GET  http://localhost:${PORT}/dev/external-data`);
-  console.log(`   • POST http://localhost:${PORT}/dev/check-serviceability`);
-  console.log('   ❌ NO AUTHENTICATION - Remove before production!\n');
-
-  console.log('📋 Status: Ready to receive requests');
-  console.log('====================================\n');
-});
+// TEMPORARY: Dev-only verification endpoint (no auth for testing)
+app.post('/dev/verify-serviceability-data', (req, res) => handleVerifyServiceabilityData(req, res, req.body?.shop));
 
+app.post('/proxy/verify-serviceability-data', (req, res) => handleVerifyServiceabilityData(req, res, req.shopDomain));
 
+// Node's default for these signals skips 'exit' handlers, which write the
+// check history still waiting in memory (see store/json-store.js)
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    logger.info('Shutting down', { signal });
+    process.exit(0);
+  });
+}
+
+app.listen(PORT, () => {
+  logger.info('Server started', {
+    port: Number(PORT),
+    url: `http://localhost:${PORT}`,
+    provider: resolveProvider().name
+  });
+  logger.warn('Dev endpoints under /dev/* are enabled without authentication; remove before production');
+});
@@ -0,0 +1,44 @@
+// Per-line serviceability for the cart lines sent with a check.
+//
+// A shop can restrict SKUs (hazmat, oversize, ...) in its configuration:
+//   skuRestrictions: [{ sku: 'BATT-100', reason: 'hazmat', postalCodePrefixes: ['79', '19'] }]
+// A restriction without postalCodePrefixes applies to every postal code.
+// A line ships only when the address itself is serviceable and no
+// restriction matches its SKU for the destination postal code.
+
+export function pickLines(source = {}) {
+  let { lines } = source;
+  if (typeof lines === 'string') {
+    try {
+      lines = JSON.parse(lines);
+    } catch {
+      lines = [];
+    }
+  }
+  if (!Array.isArray(lines)) return [];
+
+  return lines.map(({ sku, variantId, quantity }) => ({
+    sku: sku || null,
+    variantId: variantId || null,
+    quantity: Number(quantity) || 1
+  }));
+}
+
+function findRestriction(restrictions, sku, postalCode) {
+  if (!sku) return null;
+  return restrictions.find((restriction) => restriction.sku === sku
+    && (!restriction.postalCodePrefixes?.length
+      || restriction.postalCodePrefixes.some((prefix) => postalCode?.startsWith(prefix))));
+}
+
+export function judgeLines(lines, { addressServiceable, postalCode, skuRestrictions = [] }) {
+  return lines.map((line) => {
+    if (!addressServiceable) {
+      return { ...line, serviceable: false, reason: 'address_not_serviceable' };
+    }
+    const restriction = findRestriction(skuRestrictions, line.sku, postalCode);
+    return restriction
+      ? { ...line, serviceable: false, reason: restriction.reason || 'restricted' }
+      : { ...line, serviceable: true, reason: null };
+  });
+}
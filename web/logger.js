@@ -0,0 +1,93 @@
+// Structured JSON logger
+//
+// One JSON object per line: { time, level, msg, requestId?, ...fields }.
+// LOG_LEVEL picks the minimum level (debug | info | warn | error, default
+// info). Inside a request the correlation id set by middleware/request-id.js
+// is added automatically.
+//
+// Fields are redacted before they are written: tokens, secrets, signatures
+// and credentials are replaced, street addresses, cities, names and contact
+// details are removed and postal codes keep only their first three
+// characters. LOG_DEBUG=true is an opt-in for local development: debug level,
+// no redaction and indented output. It is ignored when NODE_ENV=production.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SECRET_KEYS = /token|secret|password|signature|hmac|authorization|cookie|credentials|api[-_]?key/i;
+const PERSONAL_KEYS = new Set([
+  'address1', 'address2', 'city', 'email', 'phone', 'name',
+  'first_name', 'last_name', 'firstName', 'lastName', 'company'
+]);
+const POSTAL_CODE_KEYS = new Set(['postalCode', 'postal_code', 'zip', 'pincode']);
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+export const DEBUG_MODE = process.env.LOG_DEBUG === 'true' && process.env.NODE_ENV !== 'production';
+const MIN_LEVEL = LEVELS[DEBUG_MODE ? 'debug' : process.env.LOG_LEVEL] ?? LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+function maskPostalCode(value) {
+  const text = String(value);
+  return text.length > 3 ? `${text.slice(0, 3)}${'*'.repeat(text.length - 3)}` : '***';
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.status ? { status: error.status } : {}),
+    stack: error.stack
+  };
+}
+
+export function redact(value, depth = 0) {
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    if (item === null || item === undefined || item === '') return [key, item];
+    if (SECRET_KEYS.test(key)) return [key, REDACTED];
+    if (PERSONAL_KEYS.has(key)) return [key, REDACTED];
+    if (POSTAL_CODE_KEYS.has(key) && typeof item !== 'object') return [key, maskPostalCode(item)];
+    return [key, redact(item, depth + 1)];
+  }));
+}
+
+function write(level, msg, fields = {}, bound = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const data = { ...bound, ...fields };
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...(DEBUG_MODE ? (data.error instanceof Error ? { ...data, error: serializeError(data.error) } : data) : redact(data))
+  };
+  const line = DEBUG_MODE ? JSON.stringify(entry, null, 2) : JSON.stringify(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+function createLogger(bound = {}) {
+  return {
+    debug: (msg, fields) => write('debug', msg, fields, bound),
+    info: (msg, fields) => write('info', msg, fields, bound),
+    warn: (msg, fields) => write('warn', msg, fields, bound),
+    error: (msg, fields) => write('error', msg, fields, bound),
+    child: (fields) => createLogger({ ...bound, ...fields })
+  };
+}
+
+export const logger = createLogger();
+
+// Runs fn with fields (e.g. { requestId }) added to every log line it causes
+export function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
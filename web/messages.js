@@ -0,0 +1,49 @@
+// Buyer-facing messages returned by the serviceability routes.
+//
+// Results carry a stable `messageKey` plus `message`, the text for the
+// buyer's locale. The locale comes from the request (`locale` field, then the
+// Accept-Language header); regional tags such as hi-IN use their base
+// language, and anything unsupported falls back to English.
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOG = {
+  en: {
+    'serviceability.available': 'Delivery available to this location',
+    'serviceability.unavailable': 'Delivery not available to this location',
+    'serviceability.itemsUnavailable': 'Some items in your cart cannot be delivered to this location'
+  },
+  hi: {
+    'serviceability.available': 'इस स्थान पर डिलीवरी उपलब्ध है',
+    'serviceability.unavailable': 'इस स्थान पर डिलीवरी उपलब्ध नहीं है',
+    'serviceability.itemsUnavailable': 'आपके कार्ट के कुछ आइटम इस स्थान पर डिलीवर नहीं किए जा सकते'
+  },
+  ta: {
+    'serviceability.available': 'இந்த இடத்திற்கு டெலிவரி கிடைக்கும்',
+    'serviceability.unavailable': 'இந்த இடத்திற்கு டெலிவரி கிடைக்காது',
+    'serviceability.itemsUnavailable': 'உங்கள் கார்ட்டில் உள்ள சில பொருட்களை இந்த இடத்திற்கு டெலிவரி செய்ய முடியாது'
+  }
+};
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOG);
+
+// First supported locale among the candidates, e.g. ('ta-IN', 'en-US,en;q=0.9') -> 'ta'
+export function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    if (typeof candidate !== 'string') continue;
+    for (const tag of candidate.split(',')) {
+      const language = tag.split(';')[0].trim().toLowerCase().split(/[-_]/)[0];
+      if (CATALOG[language]) return language;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+// Locale for a serviceability request: explicit `locale` wins over the header
+export function pickLocale(req, source = {}) {
+  return resolveLocale(source.locale, req.get('accept-language'));
+}
+
+export function translate(key, locale = DEFAULT_LOCALE) {
+  return CATALOG[locale]?.[key] ?? CATALOG[DEFAULT_LOCALE][key] ?? key;
+}
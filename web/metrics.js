@@ -0,0 +1,217 @@
+// Prometheus metrics, served in the text exposition format at GET /metrics.
+//
+// A small in-process registry of counters, gauges and histograms with
+// labels. Metrics that mirror state kept elsewhere (the result cache) take a
+// collect() callback that sets their values when /metrics is scraped.
+//
+//   serviceability_checks_total{shop,route,outcome}         checks answered
+//   serviceability_check_duration_seconds{route,outcome}    end to end
+//   serviceability_upstream_duration_seconds{provider,outcome}
+//                                                           provider calls
+//   serviceability_cache_lookups_total{result}              hit / miss / coalesced
+//   serviceability_cache_hit_ratio, serviceability_cache_entries
+//   wms_token_refreshes_total{shop,outcome}                 WMS logins
+//   wms_token_last_refresh_timestamp_seconds{shop}
+//   rate_limited_requests_total{scope}                      429s by bucket (shop / ip)
+//
+// `outcome` is serviceable / not_serviceable / error for checks and
+// success / error for upstream calls and token refreshes. The checks' `shop`
+// is "unknown" unless Shopify signed the request (app proxy, carrier
+// service), so unauthenticated /dev calls can't add series.
+
+import { cacheStats } from './result-cache.js';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Series are keyed by their label values in labelNames order, so the same
+// labels given in a different order land in the same series
+function createSeries(labelNames) {
+  const series = new Map();
+  return {
+    get(labels = {}, create) {
+      const values = labelNames.map((name) => String(labels[name] ?? ''));
+      const key = values.join('\u0000');
+      if (!series.has(key)) {
+        series.set(key, create(Object.fromEntries(labelNames.map((name, index) => [name, values[index]]))));
+      }
+      return series.get(key);
+    },
+    values: () => series.values()
+  };
+}
+
+function register(metric) {
+  if (registry.some(({ name }) => name === metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.push(metric);
+  return metric;
+}
+
+function createScalar(type, { name, help, labelNames = [], collect }) {
+  const series = createSeries(labelNames);
+  const entry = (labels) => series.get(labels, (resolved) => ({ labels: resolved, value: 0 }));
+
+  const metric = {
+    name,
+    set: (labels, value) => {
+      entry(labels).value = value;
+    },
+    render() {
+      collect?.(metric);
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...Array.from(series.values(), ({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+      ];
+    }
+  };
+  if (type === 'counter') {
+    metric.inc = (labels, amount = 1) => {
+      entry(labels).value += amount;
+    };
+  }
+  return register(metric);
+}
+
+export function createCounter(options) {
+  return createScalar('counter', options);
+}
+
+export function createGauge(options) {
+  return createScalar('gauge', options);
+}
+
+export function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = createSeries(labelNames);
+  const sorted = [...buckets].sort((a, b) => a - b);
+
+  function observe(labels, seconds) {
+    const entry = series.get(labels, (resolved) => ({
+      labels: resolved,
+      counts: sorted.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    sorted.forEach((bound, index) => {
+      if (seconds <= bound) entry.counts[index]++;
+    });
+    entry.sum += seconds;
+    entry.count++;
+  }
+
+  return register({
+    name,
+    observe,
+    // Returns a function that records the elapsed time; labels known only at
+    // the end (such as the outcome) are passed to it
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        observe({ ...labels, ...moreLabels }, seconds);
+        return seconds;
+      };
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        sorted.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  });
+}
+
+export function renderMetrics() {
+  return `${registry.flatMap((metric) => metric.render()).join('\n')}\n`;
+}
+
+export const checksTotal = createCounter({
+  name: 'serviceability_checks_total',
+  help: 'Serviceability checks answered, by shop, route and outcome.',
+  labelNames: ['shop', 'route', 'outcome']
+});
+
+export const checkDuration = createHistogram({
+  name: 'serviceability_check_duration_seconds',
+  help: 'End-to-end serviceability check latency, including cache hits.',
+  labelNames: ['route', 'outcome']
+});
+
+export const upstreamDuration = createHistogram({
+  name: 'serviceability_upstream_duration_seconds',
+  help: 'Latency of serviceability provider calls, e.g. the Delhivery WMS.',
+  labelNames: ['provider', 'outcome']
+});
+
+createCounter({
+  name: 'serviceability_cache_lookups_total',
+  help: 'Result cache lookups by result (hit, miss, coalesced).',
+  labelNames: ['result'],
+  collect(metric) {
+    const { hits, misses, coalesced } = cacheStats();
+    metric.set({ result: 'hit' }, hits);
+    metric.set({ result: 'miss' }, misses);
+    metric.set({ result: 'coalesced' }, coalesced);
+  }
+});
+
+createGauge({
+  name: 'serviceability_cache_hit_ratio',
+  help: 'Share of result cache lookups answered from the cache (NaN before the first lookup).',
+  collect(metric) {
+    const { hits, misses, coalesced } = cacheStats();
+    const lookups = hits + misses + coalesced;
+    metric.set({}, lookups === 0 ? NaN : hits / lookups);
+  }
+});
+
+createGauge({
+  name: 'serviceability_cache_entries',
+  help: 'Results currently held in the cache.',
+  collect(metric) {
+    metric.set({}, cacheStats().size);
+  }
+});
+
+export const tokenRefreshesTotal = createCounter({
+  name: 'wms_token_refreshes_total',
+  help: 'WMS logins to obtain a fresh access token, by shop and outcome.',
+  labelNames: ['shop', 'outcome']
+});
+
+export const tokenLastRefresh = createGauge({
+  name: 'wms_token_last_refresh_timestamp_seconds',
+  help: 'Unix time of the last successful WMS token refresh.',
+  labelNames: ['shop']
+});
+
+export const rateLimitedTotal = createCounter({
+  name: 'rate_limited_requests_total',
+  help: 'Requests rejected with 429, by the bucket that ran out (shop or ip).',
+  labelNames: ['scope']
+});
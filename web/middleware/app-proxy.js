@@ -0,0 +1,107 @@
+// Verifies requests Shopify forwards through the app proxy.
+//
+// Shopify signs the query string: every parameter except `signature` becomes
+// "key=value", with the values of a repeated key joined by commas
+// (?a=1&a=2 → "a=1,2"). The pairs are sorted and concatenated without a
+// separator, and the HMAC-SHA256 of the result (hex, keyed with the app's
+// API secret) is sent as `signature`.
+//
+// On top of the signature, `timestamp` must be within maxAgeSeconds of our
+// clock (APP_PROXY_MAX_AGE_SECONDS, default 300) so a captured URL can't be
+// replayed indefinitely. 0 turns the timestamp check off.
+
+import crypto from 'crypto';
+import { logger } from '../logger.js';
+
+const MAX_AGE_SECONDS = Number(process.env.APP_PROXY_MAX_AGE_SECONDS ?? 300);
+const SIGNATURE_FORMAT = /^[0-9a-f]{64}$/i;
+
+// The raw query string, so repeated keys and bracketed names reach us exactly
+// as Shopify signed them rather than as Express parsed them
+export function queryParams(url) {
+  const query = String(url || '').split('?').slice(1).join('?');
+  return new URLSearchParams(query);
+}
+
+// key → [values], in query order
+function groupParams(params) {
+  const grouped = new Map();
+  for (const [key, value] of params) {
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(value);
+  }
+  return grouped;
+}
+
+export function canonicalizeParams(params) {
+  return Array.from(groupParams(params))
+    .filter(([key]) => key !== 'signature')
+    .map(([key, values]) => `${key}=${values.join(',')}`)
+    .sort()
+    .join('');
+}
+
+export function computeAppProxySignature(params, secret) {
+  return crypto.createHmac('sha256', secret).update(canonicalizeParams(params)).digest('hex');
+}
+
+// → { valid: true } or { valid: false, reason } where reason is one of
+// missing_signature, invalid_signature, missing_timestamp, stale_timestamp
+export function verifyAppProxySignature(params, { secret, maxAgeSeconds = MAX_AGE_SECONDS, now = Date.now() }) {
+  const grouped = groupParams(params);
+  const [signature, ...extra] = grouped.get('signature') || [];
+  if (!signature) return { valid: false, reason: 'missing_signature' };
+
+  const expected = computeAppProxySignature(params, secret);
+  const valid = extra.length === 0
+    && SIGNATURE_FORMAT.test(signature)
+    && crypto.timingSafeEqual(Buffer.from(signature.toLowerCase(), 'hex'), Buffer.from(expected, 'hex'));
+  if (!valid) return { valid: false, reason: 'invalid_signature' };
+
+  if (maxAgeSeconds > 0) {
+    const [timestamp] = grouped.get('timestamp') || [];
+    if (!/^\d+$/.test(timestamp || '')) return { valid: false, reason: 'missing_timestamp' };
+    if (Math.abs(Math.floor(now / 1000) - Number(timestamp)) > maxAgeSeconds) {
+      return { valid: false, reason: 'stale_timestamp' };
+    }
+  }
+  return { valid: true };
+}
+
+export function verifyAppProxy({ secret, maxAgeSeconds = MAX_AGE_SECONDS }) {
+  return (req, res, next) => {
+    const params = queryParams(req.originalUrl);
+    logger.debug('App proxy request received', {
+      method: req.method,
+      path: req.path,
+      params: Array.from(new Set(params.keys())),
+      origin: req.get('origin'),
+      userAgent: req.get('user-agent')
+    });
+
+    const verification = verifyAppProxySignature(params, { secret, maxAgeSeconds });
+    if (!verification.valid) {
+      logger.warn('App proxy signature verification failed', {
+        reason: verification.reason,
+        shop: params.get('shop'),
+        timestamp: params.get('timestamp')
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid app proxy signature',
+        debug: {
+          reason: verification.reason,
+          receivedShop: params.get('shop'),
+          hasTimestamp: params.has('timestamp'),
+          allParams: Array.from(new Set(params.keys()))
+        }
+      });
+    }
+
+    req.shopDomain = params.get('shop');
+    // Signed by Shopify, so unlike body fields it can be trusted
+    req.loggedInCustomerId = params.get('logged_in_customer_id') || null;
+    logger.debug('App proxy signature verified', { shop: req.shopDomain });
+    next();
+  };
+}
@@ -0,0 +1,24 @@
+// Requires "Authorization: Bearer <token>" matching the configured token.
+// When no token is configured the protected route is disabled (503) rather
+// than left open.
+
+import crypto from 'crypto';
+
+export function requireBearerToken(token, { name = 'This endpoint' } = {}) {
+  return (req, res, next) => {
+    if (!token) {
+      return res.status(503).json({ success: false, error: `${name} is disabled: no access token configured` });
+    }
+
+    const [scheme, provided] = (req.get('Authorization') || '').split(' ');
+    const valid = scheme === 'Bearer'
+      && typeof provided === 'string'
+      && provided.length === token.length
+      && crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(token));
+
+    if (!valid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    next();
+  };
+}
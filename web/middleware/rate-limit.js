@@ -0,0 +1,131 @@
+// Token-bucket rate limiting for the app proxy and dev routes.
+//
+// Every request takes one token from two buckets: the shop's (keyed by
+// req.shopDomain, set by the app proxy verification) and the client's (keyed
+// by shop and IP). App proxy requests reach us from Shopify's servers, so
+// req.ip is Shopify's address rather than the buyer's; that router passes
+// `perIp: false` and relies on the shop bucket alone. `cost(req)` charges
+// more than one token, e.g. one per row of a batch. A bucket holds up to `burst` tokens and refills at
+// `perMinute` tokens per minute. When either bucket is empty the request is
+// answered with 429 and Retry-After, and neither bucket is charged.
+// RateLimit-Limit / -Remaining / -Reset report the bucket closest to
+// running out.
+//
+// Defaults come from the RATE_LIMIT_* env vars. A shop can override them with
+// `rateLimit: { perMinute, burst, ipPerMinute, ipBurst }` in its
+// configuration. A rate or burst of 0 turns that bucket off.
+//
+// Client IPs are read from req.ip, so set TRUST_PROXY when the app runs
+// behind a load balancer; otherwise every /dev caller shares one bucket.
+
+import { getShopConfig } from '../store/shop-config.js';
+import { logger } from '../logger.js';
+import { rateLimitedTotal } from '../metrics.js';
+
+const DEFAULT_LIMITS = {
+  perMinute: Number(process.env.RATE_LIMIT_SHOP_PER_MINUTE ?? 600),
+  burst: Number(process.env.RATE_LIMIT_SHOP_BURST ?? 100),
+  ipPerMinute: Number(process.env.RATE_LIMIT_IP_PER_MINUTE ?? 60),
+  ipBurst: Number(process.env.RATE_LIMIT_IP_BURST ?? 20)
+};
+const MAX_BUCKETS = Number(process.env.RATE_LIMIT_MAX_BUCKETS || 10000);
+
+// key → { capacity, perMinute, tokens, updatedAt }
+const buckets = new Map();
+
+// The shop's limits: stored overrides on top of the env defaults. Invalid
+// override values are ignored.
+export function limitsFor(config) {
+  const overrides = Object.entries(config?.rateLimit || {})
+    .filter(([key, value]) => key in DEFAULT_LIMITS && Number.isFinite(Number(value)) && Number(value) >= 0)
+    .map(([key, value]) => [key, Number(value)]);
+  return { ...DEFAULT_LIMITS, ...Object.fromEntries(overrides) };
+}
+
+function refill(key, { capacity, perMinute }, now) {
+  let bucket = buckets.get(key);
+  if (!bucket || bucket.capacity !== capacity || bucket.perMinute !== perMinute) {
+    // New bucket, or the shop's limits changed: keep what is left, capped
+    bucket = { capacity, perMinute, tokens: Math.min(bucket?.tokens ?? capacity, capacity), updatedAt: now };
+    buckets.set(key, bucket);
+  }
+  bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) * perMinute) / 60000);
+  bucket.updatedAt = now;
+  return bucket;
+}
+
+function secondsUntil(tokens, bucket) {
+  return Math.max(0, Math.ceil(((tokens - bucket.tokens) * 60) / bucket.perMinute));
+}
+
+// Idle buckets refill completely, so dropping them changes nothing
+function pruneBuckets(now) {
+  if (buckets.size < MAX_BUCKETS) return;
+  for (const [key, bucket] of buckets) {
+    if (bucket.tokens + ((now - bucket.updatedAt) * bucket.perMinute) / 60000 >= bucket.capacity) {
+      buckets.delete(key);
+    }
+  }
+  // Still full of active clients: drop the oldest
+  for (const key of buckets.keys()) {
+    if (buckets.size < MAX_BUCKETS) break;
+    buckets.delete(key);
+  }
+}
+
+export function rateLimit({ perIp = true, cost: costOf = () => 1 } = {}) {
+  return (req, res, next) => {
+    const cost = costOf(req);
+    const shop = req.shopDomain;
+    const limits = limitsFor(shop ? getShopConfig(shop) : null);
+    const now = Date.now();
+    pruneBuckets(now);
+
+    const checks = [
+      shop && { scope: 'shop', key: `shop|${shop}`, capacity: limits.burst, perMinute: limits.perMinute },
+      perIp && { scope: 'ip', key: `ip|${shop || '-'}|${req.ip}`, capacity: limits.ipBurst, perMinute: limits.ipPerMinute }
+    ]
+      .filter((check) => check && check.capacity > 0 && check.perMinute > 0)
+      .map((check) => ({ ...check, bucket: refill(check.key, check, now) }));
+    if (checks.length === 0) return next();
+
+    // Could never be served, however long the caller waits
+    const tooLarge = checks.find(({ capacity }) => cost > capacity);
+    if (tooLarge) {
+      logger.warn('Request exceeds the rate limit burst', { shop, scope: tooLarge.scope, cost, burst: tooLarge.capacity });
+      return res.status(413).json({
+        success: false,
+        error: `Request needs ${cost} rate limit tokens but at most ${tooLarge.capacity} are available; send fewer rows`
+      });
+    }
+
+    const exhausted = checks.find(({ bucket }) => bucket.tokens < cost);
+    if (!exhausted) {
+      checks.forEach(({ bucket }) => {
+        bucket.tokens -= cost;
+      });
+    }
+
+    const { bucket } = exhausted || checks.reduce((tightest, check) => (
+      check.bucket.tokens < tightest.bucket.tokens ? check : tightest
+    ));
+    res.set({
+      'RateLimit-Limit': String(bucket.capacity),
+      'RateLimit-Remaining': String(Math.floor(bucket.tokens)),
+      'RateLimit-Reset': String(secondsUntil(bucket.capacity, bucket))
+    });
+
+    if (exhausted) {
+      const retryAfter = Math.max(1, secondsUntil(cost, bucket));
+      rateLimitedTotal.inc({ scope: exhausted.scope });
+      logger.warn('Rate limit exceeded', { shop, scope: exhausted.scope, path: req.originalUrl.split('?')[0], retryAfter });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests, please retry later',
+        retryAfter
+      });
+    }
+    next();
+  };
+}
@@ -0,0 +1,42 @@
+// Gives every request a correlation id: an incoming X-Request-Id is kept when
+// it looks sane, otherwise a new one is generated. The id is returned in the
+// X-Request-Id response header and added to every log line written while the
+// request is handled. One access log line is written per request; the query
+// string is left out because app proxy requests carry their signature there.
+//
+// Body parsers continue the chain from stream callbacks, which drops the log
+// context; mount restoreLogContext() after any middleware that reads the body.
+
+import crypto from 'crypto';
+import { logger, runWithLogContext } from '../logger.js';
+
+const HEADER = 'X-Request-Id';
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+export function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get(HEADER);
+    req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(HEADER, req.id);
+
+    // Captured now: routers mounted on a prefix rewrite req.path
+    const { method, path } = req;
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      runWithLogContext({ requestId: req.id }, () => {
+        logger.info('Request completed', {
+          method,
+          path,
+          status: res.statusCode,
+          durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n)
+        });
+      });
+    });
+
+    runWithLogContext({ requestId: req.id }, next);
+  };
+}
+
+export function restoreLogContext() {
+  return (req, res, next) => runWithLogContext({ requestId: req.id }, next);
+}
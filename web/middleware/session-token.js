@@ -0,0 +1,61 @@
+// Authenticates requests from the embedded admin UI.
+//
+// App Bridge gives the page a session token (an HS256 JWT signed with the
+// app's API secret) that the UI sends as "Authorization: Bearer <token>".
+// The token must be signed by us, issued for our API key and unexpired; its
+// `dest` names the shop, which is exposed as req.shopDomain.
+
+import crypto from 'crypto';
+import { isValidShopDomain } from '../routes/auth.js';
+
+// Allowed clock difference between Shopify and this server
+const CLOCK_SKEW_SECONDS = 10;
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Returns the shop domain the token was issued for, or null when invalid
+export function verifySessionToken(token, { apiKey, secret }) {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  if (expected.length !== signature.length
+    || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+    return null;
+  }
+
+  let claims;
+  try {
+    if (decodeSegment(header).alg !== 'HS256') return null;
+    claims = decodeSegment(payload);
+  } catch {
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.aud !== apiKey) return null;
+  if (!(claims.exp + CLOCK_SKEW_SECONDS > now) || claims.nbf - CLOCK_SKEW_SECONDS > now) return null;
+
+  let shop;
+  try {
+    shop = new URL(claims.dest).hostname;
+  } catch {
+    return null;
+  }
+  return isValidShopDomain(shop) ? shop : null;
+}
+
+export function requireSessionToken({ apiKey, secret }) {
+  return (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const shop = scheme === 'Bearer' ? verifySessionToken(token, { apiKey, secret }) : null;
+
+    if (!shop) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired session token' });
+    }
+    req.shopDomain = shop;
+    next();
+  };
+}
@@ -0,0 +1,41 @@
+// HMAC verification for requests Shopify signs with X-Shopify-Hmac-Sha256
+// (webhooks and carrier service rate callbacks). Expects the raw body (see
+// express.raw in index.js) and replaces it with the parsed JSON when valid.
+
+import crypto from 'crypto';
+import { logger } from '../logger.js';
+
+export function verifyShopifyWebhook(secret) {
+  return (req, res, next) => {
+    try {
+      const hmacHeader = req.get("X-Shopify-Hmac-Sha256");
+      if (!hmacHeader) {
+        logger.warn('Missing HMAC header', { path: req.path });
+        return res.status(401).send("Unauthorized");
+      }
+
+      const rawBody = req.body;
+      const generatedHash = crypto
+        .createHmac("sha256", secret)
+        .update(rawBody, "utf8")
+        .digest("base64");
+
+      const isValid = generatedHash.length === hmacHeader.length && crypto.timingSafeEqual(
+        Buffer.from(generatedHash),
+        Buffer.from(hmacHeader)
+      );
+
+      if (!isValid) {
+        logger.warn('Webhook HMAC validation failed', { path: req.path });
+        return res.status(401).send("Unauthorized");
+      }
+
+      req.body = JSON.parse(rawBody.toString("utf8"));
+      next();
+
+    } catch (error) {
+      logger.error('Webhook verification failed', { path: req.path, error });
+      res.status(400).send("Invalid Webhook");
+    }
+  };
+}
@@ -0,0 +1,179 @@
+// Merchant-maintained pincode rules, evaluated before the shop's provider.
+//
+// Stored per shop as `pincodeRules`:
+//   {
+//     defaultAction: 'provider' | 'allow' | 'deny',
+//     rules: [{ id, action: 'allow' | 'deny' | 'no_cod', pattern, country, note }]
+//   }
+//
+// Patterns (compared without spaces, case-insensitive):
+//   560001          exact pincode
+//   560*            prefix
+//   560001-560099   inclusive range (numeric when both ends are numbers)
+//   *               every pincode, e.g. with a country to cover a whole country
+// `country` (ISO code such as IN) limits a rule to that country; empty means
+// every country.
+//
+// The most specific matching allow/deny rule decides: exact beats range beats
+// prefix (longer prefixes first), a country rule beats a global one at the
+// same level, and deny wins a tie. Without a match `defaultAction` applies:
+// "provider" asks the shop's provider, "allow"/"deny" decide without it (an
+// allow list is a set of allow rules with defaultAction "deny"). `no_cod`
+// rules never decide serviceability; they only switch off cash on delivery.
+//
+// Shops without rules of their own fall back to SERVICEABILITY_BLOCKED_PREFIXES
+// (deny) and SERVICEABILITY_COD_BLOCKED_PREFIXES (no_cod), comma separated.
+
+import crypto from 'crypto';
+import { parseCsv, toCsv } from './csv.js';
+
+export const RULE_ACTIONS = ['allow', 'deny', 'no_cod'];
+export const DEFAULT_ACTIONS = ['provider', 'allow', 'deny'];
+export const RULE_COLUMNS = ['action', 'pattern', 'country', 'note'];
+
+export class RuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleError';
+    this.status = 400;
+  }
+}
+
+function normalizeCode(value) {
+  return String(value ?? '').replace(/\s+/g, '').toUpperCase();
+}
+
+function parsePattern(pattern) {
+  const text = normalizeCode(pattern);
+  if (!text) return null;
+  if (text === '*') return { type: 'any', specificity: 0 };
+  if (text.endsWith('*')) {
+    const prefix = text.slice(0, -1);
+    return prefix && !prefix.includes('*') ? { type: 'prefix', prefix, specificity: 1 + prefix.length / 100 } : null;
+  }
+  if (text.includes('*')) return null;
+  if (text.includes('-')) {
+    const [from, to, ...rest] = text.split('-');
+    if (!from || !to || rest.length) return null;
+    const numeric = /^\d+$/.test(from) && /^\d+$/.test(to);
+    if (numeric ? Number(from) > Number(to) : from > to) return null;
+    return { type: 'range', from, to, numeric, specificity: 2 };
+  }
+  return { type: 'exact', value: text, specificity: 3 };
+}
+
+function matchesPattern(parsed, code) {
+  switch (parsed.type) {
+    case 'any':
+      return true;
+    case 'prefix':
+      return code.startsWith(parsed.prefix);
+    case 'range':
+      return parsed.numeric
+        ? /^\d+$/.test(code) && Number(code) >= Number(parsed.from) && Number(code) <= Number(parsed.to)
+        : code.length === parsed.from.length && code >= parsed.from && code <= parsed.to;
+    default:
+      return code === parsed.value;
+  }
+}
+
+// Validates and normalizes one rule; throws a RuleError naming the problem
+export function normalizeRule(rule, { index } = {}) {
+  const where = index === undefined ? 'Rule' : `Rule ${index + 1}`;
+  const action = String(rule?.action ?? '').trim().toLowerCase();
+  if (!RULE_ACTIONS.includes(action)) {
+    throw new RuleError(`${where}: action must be one of ${RULE_ACTIONS.join(', ')}`);
+  }
+  const pattern = normalizeCode(rule.pattern);
+  if (!parsePattern(pattern)) {
+    throw new RuleError(`${where}: invalid pattern "${rule.pattern ?? ''}" (use 560001, 560*, 560001-560099 or *)`);
+  }
+  return {
+    id: rule.id || crypto.randomUUID(),
+    action,
+    pattern,
+    country: normalizeCode(rule.country) || null,
+    note: rule.note ? String(rule.note).trim() : null
+  };
+}
+
+export function normalizeRuleSet({ defaultAction = 'provider', rules = [] } = {}) {
+  if (!DEFAULT_ACTIONS.includes(defaultAction)) {
+    throw new RuleError(`defaultAction must be one of ${DEFAULT_ACTIONS.join(', ')}`);
+  }
+  if (!Array.isArray(rules)) throw new RuleError('rules must be an array');
+  return { defaultAction, rules: rules.map((rule, index) => normalizeRule(rule, { index })) };
+}
+
+function prefixRules(value, action) {
+  return (value || '')
+    .split(',')
+    .map((prefix) => prefix.trim())
+    .filter(Boolean)
+    .map((prefix) => ({ id: `env:${action}:${prefix}`, action, pattern: `${prefix}*`, country: null, note: 'from environment' }));
+}
+
+// The shop's rule set, or the environment-wide fallback
+export function rulesFor(config) {
+  const stored = config?.pincodeRules;
+  if (stored?.rules) return stored;
+  return {
+    defaultAction: 'provider',
+    rules: [
+      ...prefixRules(process.env.SERVICEABILITY_BLOCKED_PREFIXES, 'deny'),
+      ...prefixRules(process.env.SERVICEABILITY_COD_BLOCKED_PREFIXES, 'no_cod')
+    ]
+  };
+}
+
+function rank(rule, parsed) {
+  return parsed.specificity + (rule.country ? 0.5 : 0) + (rule.action === 'deny' ? 0.001 : 0);
+}
+
+function bestMatch(candidates) {
+  return candidates.reduce((best, candidate) => (!best || candidate.rank > best.rank ? candidate : best), null)?.rule || null;
+}
+
+// → { decision: 'allow' | 'deny' | null, rule, codRule }
+// `rule` is the rule that decided (a synthetic "default" rule when
+// defaultAction decided); a null decision means the provider should answer.
+export function evaluateRules(ruleSet, address = {}) {
+  const code = normalizeCode(address.postalCode);
+  const country = normalizeCode(address.country);
+
+  const matches = (ruleSet?.rules || [])
+    .filter((rule) => !rule.country || rule.country === country)
+    .map((rule) => ({ rule, parsed: parsePattern(rule.pattern) }))
+    .filter(({ parsed }) => parsed && code && matchesPattern(parsed, code))
+    .map(({ rule, parsed }) => ({ rule, rank: rank(rule, parsed) }));
+
+  const rule = bestMatch(matches.filter(({ rule: candidate }) => candidate.action !== 'no_cod'));
+  const codRule = bestMatch(matches.filter(({ rule: candidate }) => candidate.action === 'no_cod'));
+
+  if (rule) return { decision: rule.action, rule, codRule };
+
+  const defaultAction = ruleSet?.defaultAction || 'provider';
+  if (defaultAction === 'provider') return { decision: null, rule: null, codRule };
+  return {
+    decision: defaultAction,
+    rule: { id: 'default', action: defaultAction, pattern: '*', country: null, note: 'no rule matched' },
+    codRule
+  };
+}
+
+// CSV with the columns action,pattern,country,note
+export function rulesToCsv(rules) {
+  return toCsv(rules, RULE_COLUMNS);
+}
+
+export function rulesFromCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((column) => column.toLowerCase());
+  if (!columns.includes('action') || !columns.includes('pattern')) {
+    throw new RuleError('CSV needs a header row with at least: action, pattern (optional: country, note)');
+  }
+  return rows.map((values, index) => normalizeRule(
+    Object.fromEntries(columns.map((column, position) => [column, values[position]])),
+    { index }
+  ));
+}
@@ -0,0 +1,98 @@
+// GDPR data handling for the mandatory compliance webhooks.
+// Every action is written to the audit log, including the ones that found
+// nothing to export or delete.
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './store/json-store.js';
+import { writeAuditEntry } from './store/audit-log.js';
+import {
+  findChecksForCustomer,
+  deleteChecksForCustomer,
+  deleteChecksForShop
+} from './store/check-history.js';
+import { deleteShopConfig } from './store/shop-config.js';
+import { deleteOfflineSession } from './store/sessions.js';
+import { invalidateShop } from './result-cache.js';
+
+const EXPORT_DIR = path.join(DATA_DIR, 'exports');
+// Export ids become file names, so nothing that could leave the shop's folder
+const EXPORT_ID_PATTERN = /^[\w-]+$/;
+
+// customers/data_request: write the customer's stored checks to an export
+// file the merchant can hand over (downloadable from the admin UI, see
+// GET /api/exports)
+export function exportCustomerData(shop, { customer, dataRequestId }) {
+  const checks = findChecksForCustomer(shop, customer);
+  const file = path.join(EXPORT_DIR, shop, `${dataRequestId || Date.now()}.json`);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    shop,
+    customer: { id: customer.id, email: customer.email },
+    dataRequestId,
+    exportedAt: new Date().toISOString(),
+    serviceabilityChecks: checks
+  }, null, 2));
+
+  writeAuditEntry('customers/data_request', {
+    shop,
+    customerId: customer.id,
+    dataRequestId,
+    records: checks.length,
+    exportFile: path.relative(DATA_DIR, file)
+  });
+  return { file, records: checks.length };
+}
+
+// Newest first: { id, customer, dataRequestId, exportedAt, records }
+export function listCustomerExports(shop) {
+  let files;
+  try {
+    files = fs.readdirSync(path.join(EXPORT_DIR, shop));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return [];
+  }
+
+  return files
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => {
+      const id = path.basename(file, '.json');
+      const { customer, dataRequestId, exportedAt, serviceabilityChecks } = readCustomerExport(shop, id);
+      return { id, customer, dataRequestId, exportedAt, records: serviceabilityChecks.length };
+    })
+    .sort((a, b) => b.exportedAt.localeCompare(a.exportedAt));
+}
+
+// The export as written by exportCustomerData, or null
+export function readCustomerExport(shop, id) {
+  if (!EXPORT_ID_PATTERN.test(String(id))) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(EXPORT_DIR, shop, `${id}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return null;
+  }
+}
+
+// customers/redact: remove the customer's addresses and results
+export function redactCustomer(shop, { customer }) {
+  const removed = deleteChecksForCustomer(shop, customer);
+  writeAuditEntry('customers/redact', { shop, customerId: customer.id, removed });
+  return { removed };
+}
+
+// shop/redact: remove everything stored for the shop
+export function purgeShop(shop) {
+  const removed = {
+    checkHistory: deleteChecksForShop(shop),
+    configuration: deleteShopConfig(shop),
+    session: deleteOfflineSession(shop),
+    cachedResults: invalidateShop(shop)
+  };
+  fs.rmSync(path.join(EXPORT_DIR, shop), { recursive: true, force: true });
+
+  writeAuditEntry('shop/redact', { shop, removed });
+  return { removed };
+}
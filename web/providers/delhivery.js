@@ -0,0 +1,144 @@
+// Delhivery WMS serviceability provider
+// Authenticates against the WMS and asks the platform serviceability API
+// whether the consignee address can be delivered to, and how long it takes. Credentials, fc-uuid and
+// client code come from the shop's configuration; each shop gets its own
+// token manager so access tokens are cached and refreshed per shop.
+
+import { createTokenManager } from './wms-token.js';
+import { requireWmsConfig } from '../store/shop-config.js';
+import { logger } from '../logger.js';
+
+const WMS_BASE_URL = process.env.WMS_BASE_URL || 'https://dev-api-wms.delhivery.com/wms-dev';
+// Applies to each WMS call (login and serviceability) separately
+const WMS_TIMEOUT_MS = Number(process.env.WMS_TIMEOUT_MS || 5000);
+
+// Upstream failures must surface as errors, never as "not serviceable":
+// errors are not cached and leave the fail-open decision to the checkout
+function upstreamError(message) {
+  const error = new Error(message);
+  error.status = 502;
+  return error;
+}
+
+async function wmsFetch(path, options) {
+  try {
+    return await fetch(`${WMS_BASE_URL}${path}`, { ...options, signal: AbortSignal.timeout(WMS_TIMEOUT_MS) });
+  } catch (error) {
+    throw upstreamError(error.name === 'TimeoutError'
+      ? `WMS did not answer within ${WMS_TIMEOUT_MS} ms`
+      : `WMS request failed: ${error.message}`);
+  }
+}
+
+async function loginToWMS({ username, password }) {
+  try {
+
+    const response = await wmsFetch('/auth/user/authenticate', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ username, password })
+    });
+    if (!response.ok) {
+      throw upstreamError(`WMS login failed with status: ${response.status}`);
+    }
+    const data = await response.json();
+    return {
+      accessToken: data.data.access_token,
+      expiresIn: data.data.expires_in
+    };
+  } catch (error) {
+    logger.error('WMS login failed', { error });
+    throw error;
+  }
+}
+
+const tokenManagers = new Map();
+
+function tokensFor(shop, wms) {
+  const key = `${shop}|${wms.username}|${wms.password}`;
+  if (!tokenManagers.has(key)) {
+    tokenManagers.set(key, createTokenManager({ login: () => loginToWMS(wms), shop }));
+  }
+  return tokenManagers.get(key);
+}
+
+// The WMS reports turnaround as "tat" / "transit_days" and, for some lanes,
+// an expected delivery date; pick up whichever is present
+function extractDelivery(data) {
+  const details = data?.data || data || {};
+  const transitDays = details.tat ?? details.transit_days ?? details.min_tat;
+  const maxTransitDays = details.max_tat ?? transitDays;
+  const expectedDate = details.expected_delivery_date ?? details.edd;
+
+  if (transitDays === undefined && maxTransitDays === undefined && !expectedDate) return null;
+  return {
+    minTransitDays: transitDays,
+    maxTransitDays,
+    latestDate: expectedDate
+  };
+}
+
+// Delhivery flags payment modes as "Y"/"N" (or booleans) in "cod" and
+// "pre_paid"; when a flag is absent it follows the overall answer
+function extractPaymentModes(data, serviceable) {
+  const details = data?.data || data || {};
+  const flag = (value) => (value === undefined ? serviceable : value === true || value === 'Y');
+  return {
+    prepaid: serviceable && flag(details.pre_paid ?? details.prepaid),
+    cod: serviceable && flag(details.cod)
+  };
+}
+
+function buildAddressString({ address1, address2, city, province, postalCode }) {
+  return `${address1 ? address1 : ''}${address2 ? ', ' + address2 : ''}, ${city}, ${province || ''} ${postalCode}`;
+}
+
+export default {
+  name: 'delhivery',
+
+  async check(address, { shop, config }) {
+    const wms = requireWmsConfig(shop, config);
+    const tokens = tokensFor(shop, wms);
+
+    const requestBody = {
+      loc_type: "address",
+      consignee_address: buildAddressString(address)
+    };
+
+    const callServiceability = (accessToken) => wmsFetch(`/platform/serviceability/${encodeURIComponent(wms.clientCode)}`, {
+      method: 'POST',
+      headers: {
+        'fc-uuid': wms.fcUuid,
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestBody)
+    });
+
+    let response = await callServiceability(await tokens.getToken());
+
+    // The cached token may have been revoked upstream; log in again once
+    if (response.status === 401) {
+      logger.warn('WMS rejected the cached token; refreshing and retrying once', { shop });
+      tokens.invalidate();
+      response = await callServiceability(await tokens.getToken());
+    }
+
+    if (!response.ok) {
+      throw upstreamError(`WMS serviceability request failed with status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    logger.debug('WMS serviceability response', { shop, status: response.status, success: data.success });
+
+    const serviceable = Boolean(data.success);
+    return {
+      serviceable,
+      paymentModes: extractPaymentModes(data, serviceable),
+      delivery: extractDelivery(data),
+      raw: data
+    };
+  }
+};
@@ -0,0 +1,54 @@
+// Serviceability provider registry
+//
+// Every provider exposes the same shape:
+//   { name, check(address, context) => Promise<{ serviceable, paymentModes, delivery, raw }> }
+//
+// `paymentModes` ({ prepaid, cod }) and `delivery` (see delivery-estimate.js)
+// are optional; without paymentModes both modes follow `serviceable`.
+//
+// The provider used for a request is chosen from the shop's stored
+// configuration, then SERVICEABILITY_SHOP_PROVIDERS
+// ("shop-a.myshopify.com:mock,shop-b.myshopify.com:rules"), falling back to
+// SERVICEABILITY_PROVIDER and finally to the Delhivery WMS.
+
+import delhivery from './delhivery.js';
+import staticRules from './static-rules.js';
+import mock from './mock.js';
+
+const PROVIDERS = {
+  [delhivery.name]: delhivery,
+  [staticRules.name]: staticRules,
+  [mock.name]: mock
+};
+
+const DEFAULT_PROVIDER = 'delhivery';
+
+function shopProviderOverrides() {
+  const overrides = {};
+  (process.env.SERVICEABILITY_SHOP_PROVIDERS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [shop, provider] = entry.split(':').map((part) => part.trim());
+      if (shop && provider) overrides[shop] = provider;
+    });
+  return overrides;
+}
+
+export function resolveProvider(shop, config) {
+  const name = config?.provider
+    || (shop && shopProviderOverrides()[shop])
+    || process.env.SERVICEABILITY_PROVIDER
+    || DEFAULT_PROVIDER;
+
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown serviceability provider: ${name}`);
+  }
+  return provider;
+}
+
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
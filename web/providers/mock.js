@@ -0,0 +1,27 @@
+// Always-serviceable mock provider
+// Useful for exercising checkout without touching the WMS. An optional
+// artificial delay (MOCK_SERVICEABILITY_DELAY_MS) simulates upstream latency;
+// MOCK_TRANSIT_DAYS ("3" or "2-4") sets the delivery promise and
+// MOCK_COD_AVAILABLE=false simulates a prepaid-only destination.
+
+export default {
+  name: 'mock',
+
+  async check() {
+    const delay = Number(process.env.MOCK_SERVICEABILITY_DELAY_MS || 0);
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    const [minTransitDays, maxTransitDays = minTransitDays] = (process.env.MOCK_TRANSIT_DAYS || '2-4')
+      .split('-')
+      .map(Number);
+
+    return {
+      serviceable: true,
+      paymentModes: { prepaid: true, cod: process.env.MOCK_COD_AVAILABLE !== 'false' },
+      delivery: { minTransitDays, maxTransitDays },
+      raw: null
+    };
+  }
+};
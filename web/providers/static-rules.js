@@ -0,0 +1,21 @@
+// Local rules provider
+// Makes no upstream call: the shop's pincode rules (see pincode-rules.js)
+// have already been applied by the time a provider is asked, so every
+// address that reaches this provider is serviceable. Choosing it means
+// "rules instead of an upstream provider". A flat delivery promise can be set
+// with SERVICEABILITY_DEFAULT_TRANSIT_DAYS.
+
+export default {
+  name: 'rules',
+
+  async check() {
+    const transitDays = process.env.SERVICEABILITY_DEFAULT_TRANSIT_DAYS;
+
+    return {
+      serviceable: true,
+      paymentModes: { prepaid: true, cod: true },
+      delivery: transitDays ? { minTransitDays: transitDays, maxTransitDays: transitDays } : null,
+      raw: null
+    };
+  }
+};
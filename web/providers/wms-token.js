@@ -0,0 +1,74 @@
+// WMS access token manager
+// Caches the access_token returned by the WMS login together with its expiry,
+// refreshes it a little before it runs out and makes concurrent callers share
+// a single in-flight login instead of each authenticating on their own.
+
+import { logger } from '../logger.js';
+import { tokenLastRefresh, tokenRefreshesTotal } from '../metrics.js';
+
+const DEFAULT_TTL_SECONDS = Number(process.env.WMS_TOKEN_TTL_SECONDS || 3600);
+const REFRESH_MARGIN_MS = Number(process.env.WMS_TOKEN_REFRESH_MARGIN_MS || 60 * 1000);
+
+// Read the "exp" claim when the token is a JWT; otherwise return null
+function jwtExpiry(token) {
+  try {
+    const [, payload] = token.split('.');
+    if (!payload) return null;
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+function resolveExpiry({ accessToken, expiresIn }) {
+  if (Number(expiresIn) > 0) return Date.now() + Number(expiresIn) * 1000;
+  return jwtExpiry(accessToken) || Date.now() + DEFAULT_TTL_SECONDS * 1000;
+}
+
+// login() must resolve to { accessToken, expiresIn? } where expiresIn is in seconds.
+// `shop` only labels the refresh metrics.
+export function createTokenManager({ login, refreshMarginMs = REFRESH_MARGIN_MS, shop = 'unknown' }) {
+  let cached = null;
+  let inFlight = null;
+
+  function isFresh() {
+    return cached && Date.now() < cached.expiresAt - refreshMarginMs;
+  }
+
+  async function refresh() {
+    if (!inFlight) {
+      inFlight = (async () => {
+        try {
+          const result = await login();
+          cached = {
+            accessToken: result.accessToken,
+            expiresAt: resolveExpiry(result)
+          };
+          tokenRefreshesTotal.inc({ shop, outcome: 'success' });
+          tokenLastRefresh.set({ shop }, Math.floor(Date.now() / 1000));
+          logger.info('WMS token refreshed', { shop, expiresAt: new Date(cached.expiresAt).toISOString() });
+          return cached.accessToken;
+        } catch (error) {
+          tokenRefreshesTotal.inc({ shop, outcome: 'error' });
+          throw error;
+        } finally {
+          inFlight = null;
+        }
+      })();
+    }
+    return inFlight;
+  }
+
+  return {
+    async getToken() {
+      if (isFresh()) return cached.accessToken;
+      return refresh();
+    },
+
+    // Drop the cached token, e.g. after the upstream rejected it with a 401
+    invalidate() {
+      cached = null;
+    }
+  };
+}
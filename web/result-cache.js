@@ -0,0 +1,88 @@
+// In-memory cache for serviceability results
+//
+// Keys are "<shop>|<normalized address or postal code>" (SERVICEABILITY_CACHE_KEY
+// = address | postalCode). Positive and negative results can live for
+// different lengths of time, and identical concurrent lookups share one
+// upstream call instead of each hitting the provider.
+
+const KEY_MODE = process.env.SERVICEABILITY_CACHE_KEY || 'address';
+const DEFAULT_TTL_SECONDS = Number(process.env.SERVICEABILITY_CACHE_TTL_SECONDS ?? 300);
+const POSITIVE_TTL_SECONDS = Number(process.env.SERVICEABILITY_CACHE_POSITIVE_TTL_SECONDS ?? DEFAULT_TTL_SECONDS);
+const NEGATIVE_TTL_SECONDS = Number(process.env.SERVICEABILITY_CACHE_NEGATIVE_TTL_SECONDS ?? DEFAULT_TTL_SECONDS);
+const MAX_ENTRIES = Number(process.env.SERVICEABILITY_CACHE_MAX_ENTRIES || 10000);
+
+// key → { value, expiresAt }
+const entries = new Map();
+// key → Promise of the value being computed
+const inFlight = new Map();
+const stats = { hits: 0, misses: 0, coalesced: 0 };
+
+function normalize(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+export function cacheKey(shop, address) {
+  const parts = KEY_MODE === 'postalCode'
+    ? [address.country, address.postalCode]
+    : [address.address1, address.address2, address.city, address.province, address.country, address.postalCode];
+  return `${shop || 'unknown'}|${parts.map(normalize).join('|')}`;
+}
+
+function ttlMs(value) {
+  return (value.serviceable ? POSITIVE_TTL_SECONDS : NEGATIVE_TTL_SECONDS) * 1000;
+}
+
+function store(key, value) {
+  const ttl = ttlMs(value);
+  if (ttl <= 0) return;
+  if (entries.size >= MAX_ENTRIES) {
+    // Maps iterate in insertion order, so the first key is the oldest entry
+    entries.delete(entries.keys().next().value);
+  }
+  entries.set(key, { value, expiresAt: Date.now() + ttl });
+}
+
+// Resolves to { value, hit }. Errors from compute() are not cached.
+export async function getOrCompute(key, compute) {
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    stats.hits++;
+    return { value: entry.value, hit: true };
+  }
+  entries.delete(key);
+
+  if (inFlight.has(key)) {
+    stats.coalesced++;
+    return { value: await inFlight.get(key), hit: false };
+  }
+
+  stats.misses++;
+  const pending = (async () => {
+    try {
+      const value = await compute();
+      store(key, value);
+      return value;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+  inFlight.set(key, pending);
+  return { value: await pending, hit: false };
+}
+
+// Drops every cached result for a shop; returns how many were removed
+export function invalidateShop(shop) {
+  const prefix = `${shop}|`;
+  let removed = 0;
+  for (const key of entries.keys()) {
+    if (key.startsWith(prefix)) {
+      entries.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+export function cacheStats() {
+  return { ...stats, size: entries.size };
+}
@@ -0,0 +1,163 @@
+// JSON API behind the embedded admin UI (web/admin). Every request carries
+// an App Bridge session token, so the shop always comes from the token and
+// never from the request itself.
+//
+//   GET  /api/settings      → provider, WMS details (password never
+//                             returned) and blocking mode
+//   PUT  /api/settings      → save any of the above; an empty password keeps
+//                             the stored one
+//   GET  /api/rules         → pincode rule set (see pincode-rules.js)
+//   PUT  /api/rules         → replace the rule set
+//   GET  /api/rules/export  → rules as CSV
+//   POST /api/rules/import  → CSV body; appends, or replaces with ?replace=true
+//   GET  /api/history       → ?q=&serviceable=true|false&limit=&offset=
+//   GET  /api/exports       → customer data exports (customers/data_request)
+//   GET  /api/exports/:id   → one export as a JSON download
+
+import express from 'express';
+import { requireSessionToken } from '../middleware/session-token.js';
+import { restoreLogContext } from '../middleware/request-id.js';
+import { getShopConfig, saveShopConfig, ShopConfigError } from '../store/shop-config.js';
+import { searchChecks } from '../store/check-history.js';
+import { listCustomerExports, readCustomerExport } from '../privacy.js';
+import { listProviders } from '../providers/index.js';
+import { invalidateShop } from '../result-cache.js';
+import { normalizeRuleSet, rulesFor, rulesFromCsv, rulesToCsv } from '../pincode-rules.js';
+import { logger } from '../logger.js';
+
+const BLOCKING_MODES = ['warn', 'block'];
+const MAX_HISTORY_PAGE = 200;
+
+function toSettings(config) {
+  const { username, password, fcUuid, clientCode } = config?.wms || {};
+  return {
+    provider: config?.provider || null,
+    blockingMode: config?.blockingMode || 'warn',
+    wms: {
+      username: username || '',
+      fcUuid: fcUuid || '',
+      clientCode: clientCode || '',
+      hasPassword: Boolean(password)
+    },
+    updatedAt: config?.updatedAt || null
+  };
+}
+
+function parseSettings(body = {}) {
+  const { provider, blockingMode, wms = {} } = body;
+
+  if (provider && !listProviders().includes(provider)) {
+    throw new ShopConfigError(`Unknown provider "${provider}" (allowed: ${listProviders().join(', ')})`);
+  }
+  if (blockingMode !== undefined && !BLOCKING_MODES.includes(blockingMode)) {
+    throw new ShopConfigError(`blockingMode must be one of: ${BLOCKING_MODES.join(', ')}`);
+  }
+
+  return {
+    // "" clears the shop's choice so the default provider applies again
+    provider: provider === '' ? null : provider,
+    blockingMode,
+    wms: {
+      username: wms.username?.trim() || undefined,
+      password: wms.password || undefined,
+      fcUuid: wms.fcUuid?.trim() || undefined,
+      clientCode: wms.clientCode?.trim() || undefined
+    }
+  };
+}
+
+export default function createAdminApiRouter({ apiKey, secret }) {
+  const router = express.Router();
+  router.use('/api', requireSessionToken({ apiKey, secret }));
+
+  router.get('/api/settings', (req, res) => {
+    res.json({ shop: req.shopDomain, providers: listProviders(), settings: toSettings(getShopConfig(req.shopDomain)) });
+  });
+
+  router.put('/api/settings', (req, res) => {
+    try {
+      const saved = saveShopConfig(req.shopDomain, parseSettings(req.body));
+      // Provider or credentials may have changed every cached answer
+      const removed = invalidateShop(req.shopDomain);
+      logger.info('Settings saved from the admin UI', { shop: req.shopDomain, cacheEntriesDropped: removed });
+      res.json({ shop: req.shopDomain, providers: listProviders(), settings: toSettings(saved) });
+    } catch (error) {
+      logger.error('Saving settings failed', { shop: req.shopDomain, error });
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  function toRuleSet(config) {
+    return { ...rulesFor(config), source: config?.pincodeRules?.rules ? 'shop' : 'environment' };
+  }
+
+  function saveRules(req, res, ruleSet) {
+    const saved = saveShopConfig(req.shopDomain, { pincodeRules: normalizeRuleSet(ruleSet) });
+    const removed = invalidateShop(req.shopDomain);
+    logger.info('Pincode rules saved', { shop: req.shopDomain, rules: saved.pincodeRules.rules.length, cacheEntriesDropped: removed });
+    res.json(toRuleSet(saved));
+  }
+
+  router.get('/api/rules', (req, res) => {
+    res.json(toRuleSet(getShopConfig(req.shopDomain)));
+  });
+
+  router.put('/api/rules', (req, res) => {
+    try {
+      saveRules(req, res, req.body);
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/api/rules/export', (req, res) => {
+    const { rules } = rulesFor(getShopConfig(req.shopDomain));
+    res.type('text/csv').attachment('pincode-rules.csv').send(rulesToCsv(rules));
+  });
+
+  router.post(
+    '/api/rules/import',
+    express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+    restoreLogContext(),
+    (req, res) => {
+      try {
+        const imported = rulesFromCsv(typeof req.body === 'string' ? req.body : '');
+        const current = rulesFor(getShopConfig(req.shopDomain));
+        saveRules(req, res, {
+          defaultAction: current.defaultAction,
+          rules: req.query.replace === 'true' ? imported : [...current.rules, ...imported]
+        });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    }
+  );
+
+  router.get('/api/history', (req, res) => {
+    const { q, serviceable } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, MAX_HISTORY_PAGE);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    res.json(searchChecks(req.shopDomain, {
+      query: typeof q === 'string' ? q : '',
+      serviceable: serviceable === 'true' ? true : serviceable === 'false' ? false : undefined,
+      limit,
+      offset
+    }));
+  });
+
+  router.get('/api/exports', (req, res) => {
+    res.json({ exports: listCustomerExports(req.shopDomain) });
+  });
+
+  router.get('/api/exports/:id', (req, res) => {
+    const data = readCustomerExport(req.shopDomain, req.params.id);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Export not found' });
+    }
+    logger.info('Customer data export downloaded', { shop: req.shopDomain, exportId: req.params.id });
+    res.attachment(`customer-data-${req.params.id}.json`).json(data);
+  });
+
+  return router;
+}
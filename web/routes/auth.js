@@ -0,0 +1,197 @@
+// OAuth install flow for the embedded app
+//
+//   GET /auth/exit-iframe?shop=…         → page that reloads /auth in the top
+//                                          window (the admin loads apps in an
+//                                          iframe, where the grant screen
+//                                          refuses to render)
+//   GET /auth?shop=<shop>.myshopify.com  → redirect to the shop's grant screen
+//   GET /auth/callback                   → verify HMAC + state, exchange the
+//                                          code for an offline access token
+//
+// The `state` nonce is bound to the browser with a cookie signed with the API
+// secret, so the callback works on any instance and after restarts.
+//
+// Offline tokens are kept in the sessions store and removed again when the
+// app/uninstalled webhook arrives. A fresh install also registers the
+// carrier service for the shop.
+
+import crypto from 'crypto';
+import express from 'express';
+import { saveOfflineSession } from '../store/sessions.js';
+import { registerCarrierService } from '../carrier-service.js';
+import { logger } from '../logger.js';
+
+const SHOP_DOMAIN_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/;
+const STATE_TTL_MS = 10 * 60 * 1000;
+const STATE_COOKIE = 'shopify_oauth_state';
+
+export function isValidShopDomain(shop) {
+  return typeof shop === 'string' && SHOP_DOMAIN_PATTERN.test(shop);
+}
+
+// OAuth redirects sign every query param except hmac, sorted and joined with "&"
+export function verifyOAuthHmac(query, secret) {
+  const { hmac, signature, ...rest } = query;
+  if (!hmac || typeof hmac !== 'string') return false;
+
+  const message = Object.keys(rest)
+    .sort()
+    .map((key) => `${key}=${Array.isArray(rest[key]) ? rest[key].join(',') : rest[key]}`)
+    .join('&');
+  const expected = crypto.createHmac('sha256', secret).update(message).digest('hex');
+
+  return expected.length === hmac.length
+    && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(hmac));
+}
+
+// null when the cookie is missing or not valid percent-encoding
+export function readCookie(req, name) {
+  const pair = (req.get('cookie') || '').split(';')
+    .map((part) => part.trim().split('='))
+    .find(([key]) => key === name);
+  if (!pair) return null;
+  try {
+    return decodeURIComponent(pair.slice(1).join('='));
+  } catch {
+    return null;
+  }
+}
+
+// Shopify's callback carries the Unix time it was issued; an old signed
+// callback URL must not be usable later
+export function isFreshTimestamp(timestamp, now = Date.now()) {
+  if (!/^\d+$/.test(String(timestamp ?? ''))) return false;
+  return Math.abs(Math.floor(now / 1000) - Number(timestamp)) * 1000 <= STATE_TTL_MS;
+}
+
+// Cookie value "<state>.<expiresAt>.<hmac>", the HMAC also covering the shop
+function signState(secret, state, shop, expiresAt) {
+  return crypto.createHmac('sha256', secret).update(`${state}.${shop}.${expiresAt}`).digest('hex');
+}
+
+export function createStateCookie(secret, state, shop, expiresAt = Date.now() + STATE_TTL_MS) {
+  return `${state}.${expiresAt}.${signState(secret, state, shop, expiresAt)}`;
+}
+
+export function verifyStateCookie(secret, cookie, state, shop, now = Date.now()) {
+  const [cookieState, expiresAt, signature, ...rest] = String(cookie || '').split('.');
+  if (!cookieState || !signature || rest.length > 0 || typeof state !== 'string') return false;
+  if (!(Number(expiresAt) > now)) return false;
+
+  const expected = signState(secret, cookieState, shop, expiresAt);
+  return expected.length === signature.length
+    && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+    && cookieState.length === state.length
+    && crypto.timingSafeEqual(Buffer.from(cookieState), Buffer.from(state));
+}
+
+// Loads App Bridge, which turns a "_top" window.open into a navigation of the
+// admin's top frame
+function exitIframePage(apiKey, url) {
+  // JSON inside <script>: keep "</script>" from closing the tag
+  const target = JSON.stringify(url).replace(/</g, '\\u003c');
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="shopify-api-key" content="${apiKey}">
+  <script src="https://cdn.shopify.com/shopifycloud/app-bridge.js"></script>
+</head>
+<body>
+  <script>window.open(${target}, '_top');</script>
+</body>
+</html>
+`;
+}
+
+export default function createAuthRouter({ apiKey, apiSecret, scopes, appUrl }) {
+  const router = express.Router();
+  const secureCookie = new URL(appUrl).protocol === 'https:';
+
+  function stateCookieOptions() {
+    return { httpOnly: true, secure: secureCookie, sameSite: 'lax', path: '/auth' };
+  }
+
+  router.get('/auth/exit-iframe', (req, res) => {
+    const { shop } = req.query;
+    if (!isValidShopDomain(shop)) {
+      return res.status(400).send('Missing or invalid shop parameter');
+    }
+
+    const authUrl = new URL('/auth', appUrl);
+    authUrl.searchParams.set('shop', shop);
+    res.set('Content-Security-Policy', `frame-ancestors https://${shop} https://admin.shopify.com;`);
+    res.type('html').send(exitIframePage(apiKey, authUrl.toString()));
+  });
+
+  router.get('/auth', (req, res) => {
+    const { shop } = req.query;
+    if (!isValidShopDomain(shop)) {
+      return res.status(400).send('Missing or invalid shop parameter');
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    res.cookie(STATE_COOKIE, createStateCookie(apiSecret, state, shop), {
+      ...stateCookieOptions(),
+      maxAge: STATE_TTL_MS
+    });
+
+    const authorizeUrl = new URL(`https://${shop}/admin/oauth/authorize`);
+    authorizeUrl.searchParams.set('client_id', apiKey);
+    authorizeUrl.searchParams.set('scope', scopes);
+    authorizeUrl.searchParams.set('redirect_uri', new URL('/auth/callback', appUrl).toString());
+    authorizeUrl.searchParams.set('state', state);
+
+    logger.info('Starting OAuth', { shop });
+    res.redirect(authorizeUrl.toString());
+  });
+
+  router.get('/auth/callback', async (req, res) => {
+    const { shop, code, state } = req.query;
+
+    if (!isValidShopDomain(shop)) {
+      return res.status(400).send('Missing or invalid shop parameter');
+    }
+    if (!verifyOAuthHmac(req.query, apiSecret)) {
+      logger.warn('OAuth callback HMAC verification failed', { shop });
+      return res.status(401).send('HMAC verification failed');
+    }
+    if (!isFreshTimestamp(req.query.timestamp)) {
+      logger.warn('OAuth callback timestamp outside the allowed window', { shop });
+      return res.status(403).send('Expired OAuth callback');
+    }
+    const stateValid = verifyStateCookie(apiSecret, readCookie(req, STATE_COOKIE), state, shop);
+    res.clearCookie(STATE_COOKIE, stateCookieOptions());
+    if (!stateValid) {
+      logger.warn('OAuth callback state mismatch', { shop });
+      return res.status(403).send('Invalid or expired OAuth state');
+    }
+
+    try {
+      const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ client_id: apiKey, client_secret: apiSecret, code })
+      });
+      if (!response.ok) {
+        throw new Error(`Access token request failed with status: ${response.status}`);
+      }
+      const { access_token: accessToken, scope } = await response.json();
+
+      saveOfflineSession(shop, { accessToken, scope });
+      logger.info('App installed', { shop, scope });
+
+      // Not fatal for the install; it can be retried with the register script
+      registerCarrierService(shop, { appUrl }).catch((error) => {
+        logger.error('Carrier service registration failed', { shop, error });
+      });
+
+      res.redirect(`https://${shop}/admin/apps/${apiKey}`);
+    } catch (error) {
+      logger.error('OAuth completion failed', { shop, error });
+      res.status(500).send('Failed to complete installation');
+    }
+  });
+
+  return router;
+}
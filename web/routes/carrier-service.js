@@ -0,0 +1,27 @@
+// Carrier service rate callback. Shopify signs these requests like webhooks,
+// so the body must reach this router raw (see express.raw in index.js).
+
+import express from 'express';
+import { verifyShopifyWebhook } from '../middleware/verify-webhook.js';
+import { quoteRates } from '../carrier-service.js';
+import { logger } from '../logger.js';
+
+export default function createCarrierServiceRouter({ secret }) {
+  const router = express.Router();
+
+  router.post('/carrier-service/rates', verifyShopifyWebhook(secret), async (req, res) => {
+    const shop = req.get('X-Shopify-Shop-Domain');
+
+    try {
+      const { result, rates } = await quoteRates(shop, req.body?.rate);
+      logger.info('Carrier rates quoted', { shop, postalCode: result.postalCode, rates: rates.length, serviceable: result.serviceable });
+      res.json({ rates });
+    } catch (error) {
+      // A failed callback makes Shopify fall back to the shop's backup rates
+      logger.error('Carrier rate quote failed', { shop, error });
+      res.status(500).json({ rates: [], error: error.message });
+    }
+  });
+
+  return router;
+}
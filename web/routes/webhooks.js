@@ -0,0 +1,62 @@
+// Webhook endpoint with HMAC verification and routing on X-Shopify-Topic.
+// The body must reach this router raw (see express.raw in index.js) so the
+// signature can be checked before it is parsed.
+
+import express from 'express';
+import { verifyShopifyWebhook } from '../middleware/verify-webhook.js';
+import { deleteOfflineSession } from '../store/sessions.js';
+import { exportCustomerData, redactCustomer, purgeShop } from '../privacy.js';
+import { logger } from '../logger.js';
+
+// topic → handler(shop, payload)
+const TOPIC_HANDLERS = {
+  'app/uninstalled': (shop) => {
+    deleteOfflineSession(shop);
+    logger.info('Offline token removed', { shop });
+  },
+
+  'customers/data_request': (shop, payload) => {
+    const { records } = exportCustomerData(shop, {
+      customer: payload.customer || {},
+      dataRequestId: payload.data_request?.id
+    });
+    logger.info('Customer data exported', { shop, records });
+  },
+
+  'customers/redact': (shop, payload) => {
+    const { removed } = redactCustomer(shop, { customer: payload.customer || {} });
+    logger.info('Customer data redacted', { shop, removed });
+  },
+
+  'shop/redact': (shop) => {
+    purgeShop(shop);
+    logger.info('Shop data purged', { shop });
+  }
+};
+
+export default function createWebhookRouter({ secret }) {
+  const router = express.Router();
+
+  router.post('/webhooks', verifyShopifyWebhook(secret), async (req, res) => {
+    const topic = req.get("X-Shopify-Topic");
+    const shop = req.get("X-Shopify-Shop-Domain") || req.body?.shop_domain;
+    logger.info('Webhook verified', { topic, shop });
+
+    const handler = TOPIC_HANDLERS[topic];
+    if (!handler) {
+      logger.warn('No handler for webhook topic; acknowledging', { topic, shop });
+      return res.status(200).send("OK");
+    }
+
+    try {
+      await handler(shop, req.body);
+      res.status(200).send("OK");
+    } catch (error) {
+      // A non-2xx response makes Shopify retry the delivery
+      logger.error('Webhook handler failed', { topic, shop, error });
+      res.status(500).send("Webhook handler failed");
+    }
+  });
+
+  return router;
+}
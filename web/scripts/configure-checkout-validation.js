@@ -0,0 +1,31 @@
+// Create or update the checkout validation (and its configuration
+// metafield) for installed shops, from each shop's `checkoutValidation`
+// setting.
+//
+//   npm run configure-checkout-validation -- <shop>
+//   npm run configure-checkout-validation -- --all
+
+import 'dotenv/config';
+import { configureCheckoutValidation } from '../checkout-validation.js';
+import { listInstalledShops } from '../store/sessions.js';
+
+const [target] = process.argv.slice(2);
+
+if (!target) {
+  console.error('Usage: configure-checkout-validation <shop | --all>');
+  process.exit(1);
+}
+
+const shops = target === '--all' ? listInstalledShops() : [target];
+let failed = 0;
+
+for (const shop of shops) {
+  try {
+    await configureCheckoutValidation(shop);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${shop}: ${error.message}`);
+  }
+}
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,31 @@
+// Create or update the delivery customization (and its configuration
+// metafield) for installed shops, from each shop's `deliveryCustomization`
+// setting.
+//
+//   npm run configure-delivery-customization -- <shop>
+//   npm run configure-delivery-customization -- --all
+
+import 'dotenv/config';
+import { configureDeliveryCustomization } from '../delivery-customization.js';
+import { listInstalledShops } from '../store/sessions.js';
+
+const [target] = process.argv.slice(2);
+
+if (!target) {
+  console.error('Usage: configure-delivery-customization <shop | --all>');
+  process.exit(1);
+}
+
+const shops = target === '--all' ? listInstalledShops() : [target];
+let failed = 0;
+
+for (const shop of shops) {
+  try {
+    await configureDeliveryCustomization(shop);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${shop}: ${error.message}`);
+  }
+}
+
+process.exit(failed > 0 ? 1 : 0);
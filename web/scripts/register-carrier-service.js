@@ -0,0 +1,30 @@
+// Create or update the carrier service for installed shops.
+//
+//   npm run register-carrier-service -- <shop>
+//   npm run register-carrier-service -- --all
+
+import 'dotenv/config';
+import { registerCarrierService } from '../carrier-service.js';
+import { listInstalledShops } from '../store/sessions.js';
+
+const appUrl = process.env.SHOPIFY_APP_URL || 'https://test-serviceability.onrender.com';
+const [target] = process.argv.slice(2);
+
+if (!target) {
+  console.error('Usage: register-carrier-service <shop | --all>');
+  process.exit(1);
+}
+
+const shops = target === '--all' ? listInstalledShops() : [target];
+let failed = 0;
+
+for (const shop of shops) {
+  try {
+    await registerCarrierService(shop, { appUrl });
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${shop}: ${error.message}`);
+  }
+}
+
+process.exit(failed > 0 ? 1 : 0);
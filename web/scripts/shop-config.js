@@ -0,0 +1,79 @@
+// Manage per-shop configuration from the command line.
+//
+//   npm run shop-config -- list
+//   npm run shop-config -- get <shop>
+//   npm run shop-config -- set <shop> provider=delhivery username=... password=... fcUuid=... clientCode=...
+//   npm run shop-config -- set <shop> 'skuRestrictions=[{"sku":"BATT-100","reason":"hazmat","postalCodePrefixes":["79"]}]'
+//   npm run shop-config -- set <shop> 'carrierRates=[{"serviceName":"Standard","serviceCode":"STD","priceCents":4900}]'
+//   npm run shop-config -- set <shop> 'pincodeRules={"defaultAction":"provider","rules":[{"action":"deny","pattern":"999*"}]}'
+//   npm run shop-config -- set <shop> 'checkoutValidation={"missingResult":"reject"}'
+//   npm run shop-config -- set <shop> 'rateLimit={"perMinute":1200,"burst":200,"ipPerMinute":120,"ipBurst":30}'
+//   npm run shop-config -- delete <shop>
+
+import 'dotenv/config';
+import {
+  getShopConfig,
+  saveShopConfig,
+  deleteShopConfig,
+  listConfiguredShops
+} from '../store/shop-config.js';
+import { normalizeRuleSet } from '../pincode-rules.js';
+
+const WMS_KEYS = ['username', 'password', 'fcUuid', 'clientCode'];
+// Settings given as JSON values
+const JSON_KEYS = ['skuRestrictions', 'carrierRates', 'deliveryCustomization', 'checkoutValidation', 'pincodeRules', 'rateLimit'];
+
+function parseAssignments(args) {
+  const config = { wms: {} };
+  for (const arg of args) {
+    const index = arg.indexOf('=');
+    if (index === -1) throw new Error(`Expected key=value, got "${arg}"`);
+    const key = arg.slice(0, index);
+    const value = arg.slice(index + 1);
+    if (key === 'provider') {
+      config.provider = value;
+    } else if (key === 'pincodeRules') {
+      config.pincodeRules = normalizeRuleSet(JSON.parse(value));
+    } else if (JSON_KEYS.includes(key)) {
+      config[key] = JSON.parse(value);
+    } else if (WMS_KEYS.includes(key)) {
+      config.wms[key] = value;
+    } else {
+      throw new Error(`Unknown configuration key "${key}" (allowed: provider, ${[...JSON_KEYS, ...WMS_KEYS].join(', ')})`);
+    }
+  }
+  return config;
+}
+
+function printable(config) {
+  if (!config) return null;
+  return {
+    ...config,
+    wms: { ...config.wms, password: config.wms.password ? '********' : undefined }
+  };
+}
+
+const [command, shop, ...rest] = process.argv.slice(2);
+
+try {
+  switch (command) {
+    case 'list':
+      console.log(listConfiguredShops().join('\n') || '(no shops configured)');
+      break;
+    case 'get':
+      console.log(JSON.stringify(printable(getShopConfig(shop)), null, 2));
+      break;
+    case 'set':
+      console.log(JSON.stringify(printable(saveShopConfig(shop, parseAssignments(rest))), null, 2));
+      break;
+    case 'delete':
+      console.log(deleteShopConfig(shop) ? `Deleted configuration for ${shop}` : `No configuration for ${shop}`);
+      break;
+    default:
+      console.error('Usage: shop-config <list|get|set|delete> [shop] [key=value ...]');
+      process.exit(1);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,110 @@
+// Versioned, signed payload stored in the custom.serviceability_data cart
+// metafield. Schema (version 1):
+//
+//   {
+//     version: 1,
+//     shop, postalCode, city,
+//     serviceable, addressServiceable,
+//     paymentModes: { prepaid, cod },
+//     deliveryEstimate: { minTransitDays, maxTransitDays, earliestDate, latestDate } | null,
+//     lines: [{ sku, variantId, quantity, serviceable, reason }],
+//     message, provider, checkedAt,
+//     signature
+//   }
+//
+// `signature` is a hex HMAC-SHA256 over the canonical JSON (keys sorted
+// recursively) of every other field, keyed with SERVICEABILITY_SIGNING_SECRET
+// (falls back to SHOPIFY_API_SECRET). Readers must verify it before trusting
+// `serviceable`; only the backend holds the key, so extensions ask
+// /verify-serviceability-data.
+//
+// The signature proves the backend judged this address for these `lines`,
+// not that `lines` matches the cart: they are whatever the checking client
+// sent, SKUs included. Readers pass the cart's variant IDs as `variantIds`
+// so a payload signed for a different cart is rejected (`lines_mismatch`).
+
+import crypto from 'crypto';
+
+export const SCHEMA_VERSION = 1;
+
+const MAX_AGE_SECONDS = Number(process.env.SERVICEABILITY_SIGNATURE_MAX_AGE_SECONDS || 24 * 60 * 60);
+
+function signingSecret() {
+  const secret = process.env.SERVICEABILITY_SIGNING_SECRET || process.env.SHOPIFY_API_SECRET;
+  if (!secret) throw new Error('No signing secret configured for serviceability data');
+  return secret;
+}
+
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', signingSecret()).update(canonicalJson(payload)).digest('hex');
+}
+
+export function buildServiceabilityData(result) {
+  const payload = {
+    version: SCHEMA_VERSION,
+    shop: result.shop,
+    postalCode: result.postalCode ?? null,
+    city: result.city ?? null,
+    serviceable: result.serviceable,
+    addressServiceable: result.addressServiceable ?? result.serviceable,
+    paymentModes: result.paymentModes,
+    deliveryEstimate: result.deliveryEstimate ?? null,
+    lines: result.lines || [],
+    message: result.message,
+    provider: result.provider,
+    checkedAt: result.timestamp
+  };
+  return { ...payload, signature: sign(payload) };
+}
+
+function sameVariants(lines, variantIds) {
+  const signed = [...new Set((Array.isArray(lines) ? lines : []).map((line) => line?.variantId).filter(Boolean))].sort();
+  const cart = [...new Set(variantIds.filter(Boolean))].sort();
+  return signed.length === cart.length && signed.every((id, index) => id === cart[index]);
+}
+
+// Resolves to { valid, reason }; reason explains a rejection. The lines are
+// only compared when `variantIds` is given.
+export function verifyServiceabilityData(data, { shop, variantIds } = {}) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, reason: 'missing_data' };
+  }
+  const { signature, ...payload } = data;
+
+  if (payload.version !== SCHEMA_VERSION) {
+    return { valid: false, reason: 'unsupported_version' };
+  }
+  if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const expected = sign(payload);
+  if (!crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(signature, 'hex'))) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+  if (shop && payload.shop !== shop) {
+    return { valid: false, reason: 'shop_mismatch' };
+  }
+  if (Array.isArray(variantIds) && !sameVariants(payload.lines, variantIds)) {
+    return { valid: false, reason: 'lines_mismatch' };
+  }
+  const age = (Date.now() - new Date(payload.checkedAt).getTime()) / 1000;
+  if (!(age <= MAX_AGE_SECONDS)) {
+    return { valid: false, reason: 'expired' };
+  }
+  return { valid: true, reason: null };
+}
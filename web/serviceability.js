@@ -0,0 +1,144 @@
+// Shared serviceability check used by every /check-serviceability route.
+// Routes only extract the address, cart lines and shop; the decision itself
+// comes from the shop's pincode rules or, when no rule decides, from the
+// provider selected for the shop, with the shop's stored configuration
+// passed along as context.
+
+import { resolveProvider } from './providers/index.js';
+import localRules from './providers/static-rules.js';
+import { evaluateRules, rulesFor } from './pincode-rules.js';
+import { getShopConfig } from './store/shop-config.js';
+import { recordCheck } from './store/check-history.js';
+import { cacheKey, getOrCompute } from './result-cache.js';
+import { buildDeliveryEstimate } from './delivery-estimate.js';
+import { judgeLines } from './line-serviceability.js';
+import { buildServiceabilityData } from './serviceability-data.js';
+import { resolveLocale, translate } from './messages.js';
+import { checkDuration, checksTotal, upstreamDuration } from './metrics.js';
+
+export { pickLines } from './line-serviceability.js';
+
+export function pickAddress(source = {}) {
+  const { postalCode, city, address1, address2, province, country } = source;
+  return { postalCode, city, address1, address2, province, country };
+}
+
+// Optional buyer identifiers, used to find a customer's records for GDPR
+// requests. `verifiedId` (the app proxy's logged_in_customer_id) wins over
+// what the body claims. Ids are stored in the numeric form GDPR webhooks use,
+// so a gid://shopify/Customer/123 becomes "123".
+export function pickCustomer(source = {}, verifiedId) {
+  const { customerId, email } = source;
+  const id = verifiedId || customerId;
+  return {
+    id: id ? String(id).replace(/^gid:\/\/shopify\/Customer\//, '') : undefined,
+    email: email || undefined
+  };
+}
+
+// Public shape of the rule that decided, for the response
+function describeRule(rule) {
+  if (!rule) return null;
+  const { id, action, pattern, country, note } = rule;
+  return { id, action, pattern, country, note };
+}
+
+// Times every provider call for the upstream latency histogram
+async function callProvider(provider, address, context) {
+  const stopTimer = upstreamDuration.startTimer({ provider: provider.name });
+  try {
+    const outcome = await provider.check(address, context);
+    stopTimer({ outcome: 'success' });
+    return outcome;
+  } catch (error) {
+    stopTimer({ outcome: 'error' });
+    throw error;
+  }
+}
+
+async function runProvider({ shop, address }) {
+  const config = getShopConfig(shop);
+  const { decision, rule, codRule } = evaluateRules(rulesFor(config), address);
+
+  // A deny rule needs no upstream call; an allow rule is answered locally
+  const provider = decision ? localRules : resolveProvider(shop, config);
+  const outcome = decision === 'deny'
+    ? { serviceable: false }
+    : await callProvider(provider, address, { shop, config });
+
+  return {
+    serviceable: outcome.serviceable,
+    messageKey: outcome.serviceable ? 'serviceability.available' : 'serviceability.unavailable',
+    postalCode: address.postalCode,
+    city: address.city,
+    shop: shop || 'unknown',
+    provider: provider.name,
+    decidedBy: decision ? 'rule' : 'provider',
+    rule: describeRule(rule),
+    codRule: describeRule(codRule),
+    paymentModes: {
+      prepaid: outcome.serviceable && (outcome.paymentModes?.prepaid ?? true),
+      cod: outcome.serviceable && !codRule && (outcome.paymentModes?.cod ?? true)
+    },
+    deliveryEstimate: outcome.serviceable ? buildDeliveryEstimate(outcome.delivery) : null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Results are served from the cache when possible; `cached` tells the caller
+// whether this answer came from an earlier upstream call. The cache holds the
+// address-level answer only; per-line verdicts and the buyer's language are
+// applied on top of it.
+async function runCheck({ shop, address, lines = [], locale }) {
+  const { value, hit } = await getOrCompute(
+    cacheKey(shop, address),
+    () => runProvider({ shop, address })
+  );
+  const config = getShopConfig(shop);
+  const result = { ...value, cached: hit };
+
+  if (lines.length > 0) {
+    result.addressServiceable = value.serviceable;
+    result.lines = judgeLines(lines, {
+      addressServiceable: value.serviceable,
+      postalCode: address.postalCode,
+      skuRestrictions: config?.skuRestrictions
+    });
+    if (value.serviceable && result.lines.some((line) => !line.serviceable)) {
+      result.serviceable = false;
+      result.messageKey = 'serviceability.itemsUnavailable';
+      result.paymentModes = { prepaid: false, cod: false };
+      result.deliveryEstimate = null;
+    }
+  }
+
+  // The shop's default for the checkout block; the checkout editor setting wins
+  result.blockingMode = config?.blockingMode || null;
+  result.locale = resolveLocale(locale);
+  result.message = translate(result.messageKey, result.locale);
+
+  // Signed payload the extension stores in the cart metafield as-is
+  result.serviceabilityData = buildServiceabilityData(result);
+  return result;
+}
+
+// `route` names the caller (proxy, dev, batch, carrier_service) for metrics.
+// Metrics and the check history only carry the shop when `shopVerified` says
+// it came from a signed request, so unauthenticated callers can neither mint
+// label values nor write into another shop's history. Batch rows are the
+// merchant's own lookups, not buyer checks, so they stay out of the history.
+export async function checkServiceability({ route = 'other', shopVerified = false, ...check }) {
+  const stopTimer = checkDuration.startTimer({ route });
+  let outcome = 'error';
+  try {
+    const result = await runCheck(check);
+    if (shopVerified && route !== 'batch') {
+      recordCheck(check.shop, { customer: check.customer, address: check.address, result });
+    }
+    outcome = result.serviceable ? 'serviceable' : 'not_serviceable';
+    return result;
+  } finally {
+    stopTimer({ outcome });
+    checksTotal.inc({ shop: (shopVerified && check.shop) || 'unknown', route, outcome });
+  }
+}
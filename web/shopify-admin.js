@@ -0,0 +1,30 @@
+// Minimal Admin GraphQL client using the shop's stored offline token
+
+import { getOfflineSession } from './store/sessions.js';
+
+const API_VERSION = process.env.SHOPIFY_API_VERSION || '2025-10';
+
+export async function adminGraphql(shop, query, variables = {}) {
+  const session = getOfflineSession(shop);
+  if (!session) {
+    throw new Error(`No offline access token for ${shop}; install the app first`);
+  }
+
+  const response = await fetch(`https://${shop}/admin/api/${API_VERSION}/graphql.json`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': session.accessToken
+    },
+    body: JSON.stringify({ query, variables })
+  });
+  if (!response.ok) {
+    throw new Error(`Admin API request failed with status: ${response.status}`);
+  }
+
+  const { data, errors } = await response.json();
+  if (errors?.length) {
+    throw new Error(`Admin API error: ${errors.map((error) => error.message).join('; ')}`);
+  }
+  return data;
+}
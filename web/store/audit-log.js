@@ -0,0 +1,16 @@
+// Append-only audit log (JSON lines) for compliance actions.
+// Each line records what was done, for which shop and when, so GDPR requests
+// can be proven after the fact. The log never contains the exported data.
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './json-store.js';
+
+const AUDIT_FILE = path.join(DATA_DIR, 'audit-log.jsonl');
+
+export function writeAuditEntry(action, details = {}) {
+  const entry = { at: new Date().toISOString(), action, ...details };
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(AUDIT_FILE, `${JSON.stringify(entry)}\n`);
+  return entry;
+}
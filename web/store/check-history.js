@@ -0,0 +1,100 @@
+// History of serviceability checks, kept per shop (most recent first).
+// Entries carry the customer id and email when the caller sent them, so GDPR
+// requests can find and remove a customer's records. Street address lines
+// are only kept for such attributed entries; anonymous checks keep the
+// postal code, city, province and country.
+//
+// Checks are recorded on every request, so the file is written in the
+// background (CHECK_HISTORY_WRITE_DELAY_MS, default 1000) rather than on each
+// check. Deletions are written before they return: a GDPR redaction must not
+// come back after a restart.
+
+import crypto from 'crypto';
+import { createJsonStore } from './json-store.js';
+
+const store = createJsonStore('check-history', {
+  writeDelayMs: Number(process.env.CHECK_HISTORY_WRITE_DELAY_MS ?? 1000)
+});
+
+const MAX_ENTRIES_PER_SHOP = Number(process.env.CHECK_HISTORY_LIMIT || 1000);
+
+// Without a customer nobody could ask for the entry to be removed, so drop
+// the street lines
+function historyAddress(address = {}, attributed) {
+  if (attributed) return address;
+  const { postalCode, city, province, country } = address;
+  return { postalCode, city, province, country };
+}
+
+export function recordCheck(shop, { customer, address, result }) {
+  if (!shop) return null;
+
+  const attributed = Boolean(customer?.id || customer?.email);
+  const entry = {
+    id: crypto.randomUUID(),
+    checkedAt: result.timestamp,
+    customer: attributed ? customer : null,
+    address: historyAddress(address, attributed),
+    serviceable: result.serviceable,
+    provider: result.provider
+  };
+  const entries = [entry, ...(store.get(shop) || [])].slice(0, MAX_ENTRIES_PER_SHOP);
+  store.set(shop, entries);
+  return entry;
+}
+
+export function listChecks(shop) {
+  return store.get(shop) || [];
+}
+
+function matchesQuery(entry, query) {
+  const { postalCode, city, address1, address2 } = entry.address || {};
+  return [postalCode, city, address1, address2, entry.provider]
+    .some((value) => value && String(value).toLowerCase().includes(query));
+}
+
+// Filters by free text (postal code, city, address, provider) and by
+// verdict. `stats` covers every matching entry, not just the returned page.
+export function searchChecks(shop, { query = '', serviceable, limit = 50, offset = 0 } = {}) {
+  const needle = query.trim().toLowerCase();
+  const matching = listChecks(shop).filter((entry) => (!needle || matchesQuery(entry, needle))
+    && (serviceable === undefined || entry.serviceable === serviceable));
+
+  const serviceableCount = matching.filter((entry) => entry.serviceable).length;
+  return {
+    total: matching.length,
+    stats: {
+      serviceable: serviceableCount,
+      notServiceable: matching.length - serviceableCount,
+      serviceableRate: matching.length ? serviceableCount / matching.length : null
+    },
+    entries: matching.slice(offset, offset + limit)
+  };
+}
+
+function matchesCustomer(entry, { id, email }) {
+  if (!entry.customer) return false;
+  return (id && String(entry.customer.id) === String(id))
+    || (email && entry.customer.email?.toLowerCase() === String(email).toLowerCase());
+}
+
+export function findChecksForCustomer(shop, customer) {
+  return listChecks(shop).filter((entry) => matchesCustomer(entry, customer));
+}
+
+// Returns how many entries were removed
+export function deleteChecksForCustomer(shop, customer) {
+  const entries = listChecks(shop);
+  const remaining = entries.filter((entry) => !matchesCustomer(entry, customer));
+  if (remaining.length !== entries.length) {
+    store.set(shop, remaining);
+    store.flush();
+  }
+  return entries.length - remaining.length;
+}
+
+export function deleteChecksForShop(shop) {
+  const existed = store.delete(shop);
+  store.flush();
+  return existed;
+}
@@ -0,0 +1,120 @@
+// Minimal file-backed key/value store
+// Each store is one JSON file under DATA_DIR (default: web/data). The file is
+// kept in memory and rewritten atomically (tmp file + rename) on every
+// change, which is plenty for per-shop settings and small logs. It is read
+// again whenever it changed on disk, so edits made by another process (the
+// shop-config CLI) are picked up and never overwritten by a stale copy.
+//
+// Stores written on hot paths pass `writeDelayMs`: changes are then applied
+// in memory at once and written from a timer, at most once per delay, instead
+// of inside the request. flush() writes pending changes right away (callers
+// that must not lose a change, such as GDPR deletions, call it), and so does
+// process exit; index.js turns SIGTERM / SIGINT into a normal exit.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../logger.js';
+
+export const DATA_DIR = process.env.DATA_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+export function createJsonStore(name, { writeDelayMs = 0 } = {}) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let records = null;
+  let loadedVersion = null;
+  // Deferred writes: every change bumps `revision`, `savedRevision` is the
+  // last one on disk
+  let revision = 0;
+  let savedRevision = 0;
+  let timer = null;
+
+  // Identifies the file's current contents; a rename gives a new inode
+  function version() {
+    try {
+      const { ino, mtimeMs, size } = fs.statSync(file);
+      return `${ino}:${mtimeMs}:${size}`;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return null;
+    }
+  }
+
+  function load() {
+    // Our pending changes are newer than anything on disk
+    if (records && revision !== savedRevision) return records;
+    const current = version();
+    if (records && current === loadedVersion) return records;
+    try {
+      records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      records = {};
+    }
+    loadedVersion = current;
+    return records;
+  }
+
+  function persist() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+    fs.renameSync(tmp, file);
+    loadedVersion = version();
+    savedRevision = revision;
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (revision !== savedRevision) persist();
+  }
+
+  function scheduleWrite() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      try {
+        flush();
+      } catch (error) {
+        logger.error('Writing JSON store failed', { store: name, error });
+        scheduleWrite();
+      }
+    }, writeDelayMs);
+    timer.unref();
+  }
+
+  function changed() {
+    revision++;
+    if (writeDelayMs <= 0) return persist();
+    scheduleWrite();
+  }
+
+  if (writeDelayMs > 0) {
+    process.on('exit', flush);
+  }
+
+  return {
+    get(key) {
+      return load()[key] ?? null;
+    },
+
+    set(key, value) {
+      load()[key] = value;
+      changed();
+      return value;
+    },
+
+    delete(key) {
+      const existed = key in load();
+      delete records[key];
+      if (existed) changed();
+      return existed;
+    },
+
+    keys() {
+      return Object.keys(load());
+    },
+
+    flush
+  };
+}
@@ -0,0 +1,27 @@
+// AES-256-GCM helpers for values that must be encrypted at rest.
+// The key is derived from CONFIG_ENCRYPTION_KEY; encrypted values are stored
+// as "iv:authTag:ciphertext" in base64.
+
+import crypto from 'crypto';
+
+function encryptionKey() {
+  const secret = process.env.CONFIG_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CONFIG_ENCRYPTION_KEY is not set; cannot read or write encrypted shop configuration');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+export function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+}
+
+export function decrypt(payload) {
+  const [iv, authTag, ciphertext] = String(payload).split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
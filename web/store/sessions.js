@@ -0,0 +1,29 @@
+// Offline Admin API access tokens, one per installed shop.
+// Tokens are encrypted at rest with the same key as the shop configuration.
+
+import { createJsonStore } from './json-store.js';
+import { encrypt, decrypt } from './secrets.js';
+
+const store = createJsonStore('sessions');
+
+export function saveOfflineSession(shop, { accessToken, scope }) {
+  store.set(shop, {
+    accessToken: encrypt(accessToken),
+    scope,
+    installedAt: new Date().toISOString()
+  });
+}
+
+export function getOfflineSession(shop) {
+  const record = shop ? store.get(shop) : null;
+  if (!record) return null;
+  return { ...record, accessToken: decrypt(record.accessToken) };
+}
+
+export function deleteOfflineSession(shop) {
+  return store.delete(shop);
+}
+
+export function listInstalledShops() {
+  return store.keys();
+}
@@ -0,0 +1,95 @@
+// Per-shop configuration, keyed by the shop's myshopify domain.
+//
+// Stored shape:
+//   {
+//     provider: 'delhivery' | 'rules' | 'mock',
+//     blockingMode: 'warn' | 'block',
+//     wms: { fcUuid, clientCode, credentials: <encrypted { username, password }> },
+//     pincodeRules: { defaultAction, rules: [{ id, action, pattern, country, note }] },
+//     skuRestrictions: [{ sku, reason, postalCodePrefixes? }],
+//     carrierRates: [{ serviceName, serviceCode, priceCents, description? }],
+//     deliveryCustomization: { notServiceable, codUnavailable },
+//     checkoutValidation: { missingResult: 'allow' | 'reject' },
+//     rateLimit: { perMinute, burst, ipPerMinute, ipBurst },
+//     updatedAt
+//   }
+//
+// WMS credentials are encrypted at rest (see secrets.js); getShopConfig()
+// returns them decrypted as wms.username / wms.password.
+
+import { createJsonStore } from './json-store.js';
+import { encrypt, decrypt } from './secrets.js';
+
+const store = createJsonStore('shop-config');
+
+const REQUIRED_WMS_FIELDS = ['username', 'password', 'fcUuid', 'clientCode'];
+
+export class ShopConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShopConfigError';
+    this.status = 422;
+  }
+}
+
+export function getShopConfig(shop) {
+  const record = shop ? store.get(shop) : null;
+  if (!record) return null;
+
+  const { credentials, ...wms } = record.wms || {};
+  return {
+    ...record,
+    wms: {
+      ...wms,
+      ...(credentials ? JSON.parse(decrypt(credentials)) : {})
+    }
+  };
+}
+
+// Merges into the stored configuration; only the fields given are changed
+export function saveShopConfig(shop, { wms = {}, ...settings } = {}) {
+  if (!shop) throw new ShopConfigError('Shop domain is required to save configuration');
+
+  const { wms: currentWms = {}, updatedAt, ...currentSettings } = getShopConfig(shop) || {};
+  const merged = { ...currentWms, ...stripUndefined(wms) };
+  const { username, password, ...rest } = merged;
+
+  const record = {
+    ...currentSettings,
+    ...stripUndefined(settings),
+    wms: {
+      ...rest,
+      ...(username || password ? { credentials: encrypt(JSON.stringify({ username, password })) } : {})
+    },
+    updatedAt: new Date().toISOString()
+  };
+  store.set(shop, record);
+  return getShopConfig(shop);
+}
+
+export function deleteShopConfig(shop) {
+  return store.delete(shop);
+}
+
+export function listConfiguredShops() {
+  return store.keys();
+}
+
+// Throws a ShopConfigError naming exactly what is missing for a WMS call
+export function requireWmsConfig(shop, config) {
+  if (!shop) {
+    throw new ShopConfigError('Shop domain is required to look up WMS configuration');
+  }
+  if (!config?.wms) {
+    throw new ShopConfigError(`No WMS configuration found for shop ${shop}`);
+  }
+  const missing = REQUIRED_WMS_FIELDS.filter((field) => !config.wms[field]);
+  if (missing.length > 0) {
+    throw new ShopConfigError(`WMS configuration for shop ${shop} is missing: ${missing.join(', ')}`);
+  }
+  return config.wms;
+}
+
+function stripUndefined(values) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,167 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  canonicalizeParams,
+  computeAppProxySignature,
+  queryParams,
+  verifyAppProxy,
+  verifyAppProxySignature
+} from '../middleware/app-proxy.js';
+
+const SECRET = 'hush';
+const NOW = Date.UTC(2025, 9, 15, 12, 0, 0);
+const TIMESTAMP = String(NOW / 1000);
+
+// Signs a query string the way Shopify does and appends the signature
+function signedQuery(query, secret = SECRET) {
+  const signature = computeAppProxySignature(new URLSearchParams(query), secret);
+  return `${query}&signature=${signature}`;
+}
+
+function verify(query, options = {}) {
+  return verifyAppProxySignature(new URLSearchParams(query), { secret: SECRET, now: NOW, ...options });
+}
+
+describe('canonicalizeParams', () => {
+  it('comma-joins repeated keys, drops the signature and sorts the pairs', () => {
+    const params = new URLSearchParams(
+      'extra=1&extra=2&shop=shop-name.myshopify.com&logged_in_customer_id=1&path_prefix=%2Fapps%2Fawesome_reviews'
+      + `&timestamp=1317327555&signature=${'0'.repeat(64)}`
+    );
+    const canonical = 'extra=1,2logged_in_customer_id=1path_prefix=/apps/awesome_reviews'
+      + 'shop=shop-name.myshopify.comtimestamp=1317327555';
+
+    assert.equal(canonicalizeParams(params), canonical);
+    assert.equal(
+      computeAppProxySignature(params, SECRET),
+      crypto.createHmac('sha256', SECRET).update(canonical).digest('hex')
+    );
+  });
+
+  it('keeps the order of repeated values and sorts the pairs', () => {
+    assert.equal(canonicalizeParams(new URLSearchParams('b=2&a=z&a=y&c=')), 'a=z,yb=2c=');
+  });
+});
+
+describe('verifyAppProxySignature', () => {
+  const query = `shop=a.myshopify.com&path_prefix=%2Fapps%2Fserviceability&timestamp=${TIMESTAMP}&postalCode=560001`;
+
+  it('accepts a correctly signed request', () => {
+    assert.deepEqual(verify(signedQuery(query)), { valid: true });
+  });
+
+  it('accepts repeated parameters signed with comma-joined values', () => {
+    assert.deepEqual(verify(signedQuery(`${query}&sku=A&sku=B`)), { valid: true });
+  });
+
+  it('accepts an upper-case hex signature', () => {
+    const signed = signedQuery(query).replace(/signature=(\w+)/, (match, hex) => `signature=${hex.toUpperCase()}`);
+    assert.deepEqual(verify(signed), { valid: true });
+  });
+
+  it('rejects a request without a signature', () => {
+    assert.deepEqual(verify(query), { valid: false, reason: 'missing_signature' });
+  });
+
+  it('rejects a tampered parameter', () => {
+    const tampered = signedQuery(query).replace('postalCode=560001', 'postalCode=110001');
+    assert.deepEqual(verify(tampered), { valid: false, reason: 'invalid_signature' });
+  });
+
+  it('rejects an added parameter', () => {
+    assert.deepEqual(verify(`${signedQuery(query)}&admin=true`), { valid: false, reason: 'invalid_signature' });
+  });
+
+  it('rejects a repeated value that was not signed', () => {
+    const signed = signedQuery(`${query}&sku=A`);
+    assert.deepEqual(verify(`${signed}&sku=B`), { valid: false, reason: 'invalid_signature' });
+  });
+
+  it('rejects a request signed with another secret', () => {
+    assert.deepEqual(verify(signedQuery(query, 'other')), { valid: false, reason: 'invalid_signature' });
+  });
+
+  it('rejects malformed and duplicated signatures', () => {
+    const signed = signedQuery(query);
+    assert.equal(verify(`${query}&signature=abc`).reason, 'invalid_signature');
+    assert.equal(verify(`${query}&signature=${'z'.repeat(64)}`).reason, 'invalid_signature');
+    assert.equal(verify(`${signed}&signature=${'0'.repeat(64)}`).reason, 'invalid_signature');
+  });
+
+  it('rejects a signed request without a timestamp', () => {
+    const signed = signedQuery('shop=a.myshopify.com&postalCode=560001');
+    assert.deepEqual(verify(signed), { valid: false, reason: 'missing_timestamp' });
+  });
+
+  it('rejects timestamps outside the window in either direction', () => {
+    const old = signedQuery(query.replace(TIMESTAMP, String(NOW / 1000 - 301)));
+    const future = signedQuery(query.replace(TIMESTAMP, String(NOW / 1000 + 301)));
+    assert.deepEqual(verify(old), { valid: false, reason: 'stale_timestamp' });
+    assert.deepEqual(verify(future), { valid: false, reason: 'stale_timestamp' });
+  });
+
+  it('accepts timestamps inside a configured window', () => {
+    const old = signedQuery(query.replace(TIMESTAMP, String(NOW / 1000 - 3000)));
+    assert.deepEqual(verify(old, { maxAgeSeconds: 3600 }), { valid: true });
+  });
+
+  it('skips the timestamp check when the window is 0', () => {
+    const signed = signedQuery('shop=a.myshopify.com&postalCode=560001');
+    assert.deepEqual(verify(signed, { maxAgeSeconds: 0 }), { valid: true });
+  });
+});
+
+describe('verifyAppProxy middleware', () => {
+  function run(url) {
+    const req = { method: 'GET', path: '/check-serviceability', originalUrl: url, get: () => undefined };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+    let nextCalled = false;
+    verifyAppProxy({ secret: SECRET, maxAgeSeconds: 0 })(req, res, () => {
+      nextCalled = true;
+    });
+    return { req, res, nextCalled };
+  }
+
+  it('sets req.shopDomain and continues for a valid request', () => {
+    const { req, nextCalled } = run(`/proxy/check-serviceability?${signedQuery('shop=a.myshopify.com&postalCode=560001')}`);
+    assert.equal(nextCalled, true);
+    assert.equal(req.shopDomain, 'a.myshopify.com');
+    assert.equal(req.loggedInCustomerId, null);
+  });
+
+  it('exposes the signed logged_in_customer_id', () => {
+    const { req } = run(`/proxy/check-serviceability?${signedQuery('shop=a.myshopify.com&logged_in_customer_id=42')}`);
+    assert.equal(req.loggedInCustomerId, '42');
+  });
+
+  it('answers 401 without echoing the received signature', () => {
+    const signature = crypto.randomBytes(32).toString('hex');
+    const { res, nextCalled } = run(`/proxy/check-serviceability?shop=a.myshopify.com&signature=${signature}`);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.debug.reason, 'invalid_signature');
+    assert.equal(res.body.debug.receivedShop, 'a.myshopify.com');
+    assert.equal(JSON.stringify(res.body).includes(signature), false);
+    assert.equal('receivedSignature' in res.body.debug, false);
+  });
+});
+
+describe('queryParams', () => {
+  it('reads the raw query string, including repeated keys', () => {
+    assert.deepEqual(queryParams('/proxy/x?a=1&a=2&b=%2F').getAll('a'), ['1', '2']);
+    assert.equal(queryParams('/proxy/x?a=1&a=2&b=%2F').get('b'), '/');
+    assert.equal(Array.from(queryParams('/proxy/x').keys()).length, 0);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStateCookie, isFreshTimestamp, readCookie, verifyStateCookie } from '../routes/auth.js';
+
+const SECRET = 'hush';
+const SHOP = 'a.myshopify.com';
+const STATE = 'f'.repeat(32);
+const NOW = Date.UTC(2025, 9, 15, 12, 0, 0);
+
+describe('OAuth state cookie', () => {
+  const cookie = createStateCookie(SECRET, STATE, SHOP, NOW + 60000);
+
+  it('accepts the state and shop it was issued for', () => {
+    assert.equal(verifyStateCookie(SECRET, cookie, STATE, SHOP, NOW), true);
+  });
+
+  it('rejects another state, shop or secret', () => {
+    assert.equal(verifyStateCookie(SECRET, cookie, 'e'.repeat(32), SHOP, NOW), false);
+    assert.equal(verifyStateCookie(SECRET, cookie, STATE, 'b.myshopify.com', NOW), false);
+    assert.equal(verifyStateCookie('other', cookie, STATE, SHOP, NOW), false);
+  });
+
+  it('rejects an expired, tampered or missing cookie', () => {
+    assert.equal(verifyStateCookie(SECRET, cookie, STATE, SHOP, NOW + 60000), false);
+    assert.equal(verifyStateCookie(SECRET, cookie.replace(String(NOW + 60000), String(NOW + 120000)), STATE, SHOP, NOW), false);
+    assert.equal(verifyStateCookie(SECRET, null, STATE, SHOP, NOW), false);
+    assert.equal(verifyStateCookie(SECRET, cookie, undefined, SHOP, NOW), false);
+  });
+});
+
+describe('readCookie', () => {
+  const request = (cookie) => ({ get: () => cookie });
+
+  it('decodes the named cookie', () => {
+    assert.equal(readCookie(request('a=1; shopify_oauth_state=x%2Ey'), 'shopify_oauth_state'), 'x.y');
+  });
+
+  it('returns null for a missing or malformed cookie', () => {
+    assert.equal(readCookie(request(undefined), 'shopify_oauth_state'), null);
+    assert.equal(readCookie(request('shopify_oauth_state=%'), 'shopify_oauth_state'), null);
+  });
+});
+
+describe('isFreshTimestamp', () => {
+  it('accepts the callback time within the state lifetime only', () => {
+    assert.equal(isFreshTimestamp(String(NOW / 1000 - 60), NOW), true);
+    assert.equal(isFreshTimestamp(String(NOW / 1000 - 3600), NOW), false);
+    assert.equal(isFreshTimestamp(undefined, NOW), false);
+    assert.equal(isFreshTimestamp('abc', NOW), false);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildServiceabilityData, verifyServiceabilityData } from '../serviceability-data.js';
+
+const SHOP = 'a.myshopify.com';
+const VARIANT_A = 'gid://shopify/ProductVariant/1';
+const VARIANT_B = 'gid://shopify/ProductVariant/2';
+
+describe('serviceability data lines', () => {
+  let data;
+
+  before(() => {
+    process.env.SERVICEABILITY_SIGNING_SECRET = 'hush';
+    data = buildServiceabilityData({
+      shop: SHOP,
+      postalCode: '560001',
+      serviceable: true,
+      paymentModes: { prepaid: true, cod: true },
+      lines: [
+        { sku: 'A', variantId: VARIANT_A, quantity: 1, serviceable: true, reason: null },
+        { sku: 'B', variantId: VARIANT_B, quantity: 2, serviceable: true, reason: null }
+      ],
+      message: 'ok',
+      provider: 'mock',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  it('accepts the variants it was signed for, in any order', () => {
+    assert.deepEqual(verifyServiceabilityData(data, { shop: SHOP, variantIds: [VARIANT_B, VARIANT_A] }), { valid: true, reason: null });
+  });
+
+  it('rejects a cart with other variants', () => {
+    assert.equal(verifyServiceabilityData(data, { shop: SHOP, variantIds: [VARIANT_A] }).reason, 'lines_mismatch');
+    assert.equal(verifyServiceabilityData(data, { shop: SHOP, variantIds: [VARIANT_A, VARIANT_B, 'gid://shopify/ProductVariant/3'] }).reason, 'lines_mismatch');
+  });
+
+  it('skips the comparison without variantIds', () => {
+    assert.equal(verifyServiceabilityData(data, { shop: SHOP }).valid, true);
+  });
+});